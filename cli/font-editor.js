@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import presets from '../src/presets.json';
+import { normalizeFont } from '../src/lib/font';
+import { BINARY_FORMATS, normalizeBinaryOptions } from '../src/lib/binaryExport';
+import { findSource, renderSource } from '../src/lib/exportProfiles';
+import { parseLiteral } from '../src/lib/sourceImport';
+
+// Command-line export for build servers. It renders with the same modules as
+// the editor's Export dialog, so a committed artifact can be regenerated or
+// checked without a browser
+
+const USAGE = `Usage: font-editor export <font.json> [options]
+
+Options:
+  -p, --preset <id>      Built-in preset or binary format (default: the one the
+                         font was last exported with)
+  -t, --template <file>  Handlebars template file instead of a preset
+  -o, --output <file>    File to write (default: standard output)
+      --check            Compare with --output instead of writing it; exits 1
+                         if the file is missing or out of date
+
+Binary formats:
+      --range <all|defined>   Slots to export (default: all)
+      --endian <little|big>   Word byte order (default: little)
+      --address <n>           Load address for HEX and S-record files
+      --fill <n>              Word written for empty slots
+
+Presets: ${[...presets.presets, ...BINARY_FORMATS].map((p) => p.id).join(', ')}`;
+
+function fail(message) {
+  console.error(`font-editor: ${message}`);
+  process.exit(2);
+}
+
+function readText(path, what) {
+  try {
+    return readFileSync(path, 'utf8');
+  } catch (err) {
+    fail(`cannot read ${what} ${path}: ${err.message}`);
+  }
+}
+
+// Numbers accept the same literals as source import (0x10, #10, $10, %1010, 16).
+// Out-of-range values fail rather than fall back to the default
+function parseNumber(text, option, max) {
+  if (text === undefined) return undefined;
+  const value = parseLiteral(text);
+  if (isNaN(value)) fail(`--${option} expects a number, got "${text}"`);
+  if (value > max) fail(`--${option} must be at most 0x${max.toString(16).toUpperCase()}, got "${text}"`);
+  return value;
+}
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        preset: { type: 'string', short: 'p' },
+        template: { type: 'string', short: 't' },
+        output: { type: 'string', short: 'o' },
+        check: { type: 'boolean' },
+        range: { type: 'string' },
+        endian: { type: 'string' },
+        address: { type: 'string' },
+        fill: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const [command, fontPath, ...extra] = positionals;
+  if (command !== 'export' || !fontPath || extra.length > 0) fail(`\n${USAGE}`);
+  if (values.preset && values.template) fail('give either --preset or --template, not both');
+  if (values.check && !values.output) fail('--check needs the committed file as --output');
+
+  let font;
+  try {
+    font = normalizeFont(JSON.parse(readText(fontPath, 'font')));
+  } catch (err) {
+    fail(`${fontPath} is not a font file: ${err.message}`);
+  }
+
+  let id = null;
+  let source;
+  if (values.template) {
+    source = { kind: 'template', name: values.template, template: readText(values.template, 'template') };
+  } else {
+    id = values.preset ?? font.exportTemplate;
+    if (!id) fail('the font has no saved export template; give --preset or --template');
+    source = findSource(id, []);
+    if (!source) fail(`unknown preset "${id}"; saved templates must be passed with --template`);
+  }
+
+  if (values.range && !['all', 'defined'].includes(values.range)) fail('--range is all or defined');
+  if (values.endian && !['little', 'big'].includes(values.endian)) fail('--endian is little or big');
+  const binary = normalizeBinaryOptions({
+    range: values.range ?? 'all',
+    endian: values.endian,
+    address: parseNumber(values.address, 'address', 0xFFFFFFFF),
+    fill: parseNumber(values.fill, 'fill', 0xFFFF),
+  });
+  const { data, error } = renderSource(font, id, source, { binary });
+  if (error) fail(`${source.name}: ${error}`);
+  const bytes = typeof data === 'string' ? Buffer.from(data, 'utf8') : Buffer.from(data);
+
+  if (values.check) {
+    let current = null;
+    try {
+      current = readFileSync(values.output);
+    } catch {
+      // A missing file is reported as out of date below
+    }
+    if (!current || !current.equals(bytes)) {
+      console.error(`font-editor: ${values.output} is out of date; regenerate it from ${fontPath}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (values.output) {
+    try {
+      writeFileSync(values.output, bytes);
+    } catch (err) {
+      fail(`cannot write ${values.output}: ${err.message}`);
+    }
+  } else {
+    process.stdout.write(bytes);
+  }
+}
+
+main(process.argv.slice(2));
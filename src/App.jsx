@@ -2,19 +2,42 @@
  * Copyright (c) 2026, Ant Skelton
  * SPDX-License-Identifier: BSD-3-Clause
  */
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useMemo } from 'react';
 import Toolbar from './components/Toolbar';
 import FontGrid from './components/FontGrid';
+import GridSearch from './components/GridSearch';
 import CharacterEditor from './components/CharacterEditor';
 import ExportDialog from './components/ExportDialog';
-
-// Create an empty font with 256 slots (16x16)
-// Starts with a blank character at index 0 ready for editing
-function createEmptyFont(name = 'Untitled Font') {
-  const characters = Array(256).fill(null);
-  characters[0] = { segments: 0, name: null };
-  return { name, characters };
-}
+import BundleDialog from './components/BundleDialog';
+import HistoryPanel from './components/HistoryPanel';
+import ImportDialog from './components/ImportDialog';
+import TableImportDialog from './components/TableImportDialog';
+import SuggestDialog from './components/SuggestDialog';
+import BatchDialog from './components/BatchDialog';
+import RenameDialog from './components/RenameDialog';
+import CompareDialog from './components/CompareDialog';
+import ConfusabilityDialog from './components/ConfusabilityDialog';
+import MessagePreview from './components/MessagePreview';
+import AnimationEditor from './components/AnimationEditor';
+import RecoveryDialog from './components/RecoveryDialog';
+import TabBar from './components/TabBar';
+import LibraryDialog from './components/LibraryDialog';
+import NewFontDialog from './components/NewFontDialog';
+import SharedFontDialog from './components/SharedFontDialog';
+import useWorkspace, { createDocument, documentFont, isDocumentDirty } from './hooks/useWorkspace';
+import useFontLibrary from './hooks/useFontLibrary';
+import useTemplateLibrary from './hooks/useTemplateLibrary';
+import useExportProfiles from './hooks/useExportProfiles';
+import useSegmentKeys from './hooks/useSegmentKeys';
+import { createEmptyFont, normalizeFont } from './lib/font';
+import { findCodePage, codePageForFont, setCodepoint, formatCodepoint, formatIndex } from './lib/codePages';
+import { SYMBOL_TARGETS, fixNames, copyName } from './lib/symbols';
+import { findTransform, transformCharacters } from './lib/transforms';
+import { DEFAULT_SEARCH, searchFont } from './lib/gridSearch';
+import { createStarterFont, starterPlacements } from './lib/starters';
+import { DEFAULT_EXPORT_SETTINGS, selectTemplate } from './lib/exportSettings';
+import { AUTOSAVE_DELAY_MS, saveSession, loadSession } from './lib/session';
+import { createShareLink, isShareFragment, readShareFragment } from './lib/shareLink';
 
 // Helper to create a range of indices as a Set
 function createSelectionRange(anchor, focus) {
@@ -27,56 +50,211 @@ function createSelectionRange(anchor, focus) {
   return indices;
 }
 
+// Describe a number of characters for history labels
+function pluralChars(count) {
+  return count === 1 ? '1 character' : `${count} characters`;
+}
+
+// Is the keyboard focus in a text field? (native undo applies there)
+function isTextInput(el) {
+  return el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+}
+
+const INITIAL_SELECTION = { anchor: 0, focus: 0, selected: new Set([0]) };
+
+// Workspace documents for an autosaved session
+function sessionDocuments(session) {
+  return session.documents.map((doc) => createDocument(doc.font, doc.selection, {
+    label: 'Restore session',
+    // A document that was clean when autosaved matches its last save
+    savedFont: doc.dirty ? null : doc.font,
+    libraryId: doc.libraryId,
+  }));
+}
+
 function App() {
-  const [font, setFont] = useState(() => createEmptyFont());
-  const [selection, setSelection] = useState({
-    anchor: 0,
-    focus: 0,
-    selected: new Set([0]),
-  });
+  // A session with unsaved changes is offered for recovery; a clean one reopens silently
+  const [savedSession] = useState(loadSession);
+  const sessionDirty = Boolean(savedSession?.documents.some((doc) => doc.dirty));
+  const {
+    documents,
+    activeDocument,
+    font,
+    selection,
+    dirty,
+    setSelection,
+    commit,
+    history,
+    undo,
+    redo,
+    jumpTo,
+    canUndo,
+    canRedo,
+    openDocument,
+    closeDocument,
+    activateDocument,
+    markSaved,
+    replaceDocuments,
+  } = useWorkspace(createEmptyFont, INITIAL_SELECTION, () => (
+    savedSession && !sessionDirty
+      ? { documents: sessionDocuments(savedSession), activeIndex: savedSession.activeIndex }
+      : null
+  ));
+  const library = useFontLibrary();
+  const templateLibrary = useTemplateLibrary();
+  const exportProfiles = useExportProfiles();
+  const segmentKeys = useSegmentKeys();
   const [showExportDialog, setShowExportDialog] = useState(false);
-  const [clipboard, setClipboard] = useState(null); // { anchorOffset: number, characters: Array<{offset, char}> }
+  const [showBundle, setShowBundle] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [importSource, setImportSource] = useState(null); // { text, fileName }
+  const [showTableImport, setShowTableImport] = useState(false);
+  const [showSuggest, setShowSuggest] = useState(false);
+  const [showBatch, setShowBatch] = useState(false);
+  const [showNewFont, setShowNewFont] = useState(false);
+  const [showRename, setShowRename] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [showAnalysis, setShowAnalysis] = useState(false);
+  const [clipboard, setClipboard] = useState(null); // { sourceId, characters: Array<{offset, char}> }
+  const [exportSettings, setExportSettings] = useState(
+    savedSession && !sessionDirty ? savedSession.exportSettings : DEFAULT_EXPORT_SETTINGS,
+  );
+  const [recovery, setRecovery] = useState(sessionDirty ? savedSession : null); // autosaved session awaiting a decision
+  const [autosavedAt, setAutosavedAt] = useState(null);
+  const [sharedFont, setSharedFont] = useState(null); // font opened read-only from a share link
+  const [search, setSearch] = useState(DEFAULT_SEARCH);
 
   const selectedCharacter = font.characters[selection.anchor];
+  const searchResult = useMemo(() => searchFont(font, search), [font, search]);
 
   // Font name change
   const handleFontNameChange = useCallback((name) => {
-    setFont((prev) => ({ ...prev, name }));
-  }, []);
+    commit((prev) => ({ ...prev, name }), { label: 'Rename font', coalesceKey: 'font-name' });
+  }, [commit]);
 
-  // Create new font
-  const handleNewFont = useCallback(() => {
-    if (confirm('Create a new font? All unsaved changes will be lost.')) {
-      setFont(createEmptyFont());
-      setSelection({ anchor: 0, focus: 0, selected: new Set([0]) });
+  // Offer a blank font or one of the starter fonts
+  const handleNewFont = useCallback(() => setShowNewFont(true), []);
+
+  // Create new font in a new tab, blank or from a starter font
+  const handleCreateFont = useCallback((starter) => {
+    if (starter) {
+      openDocument(createStarterFont(starter), INITIAL_SELECTION, { label: `New from "${starter.name}"` });
+    } else {
+      openDocument(createEmptyFont(), INITIAL_SELECTION);
     }
-  }, []);
+    setShowNewFont(false);
+  }, [openDocument]);
 
-  // Load font from JSON
+  // Load font from JSON into a new tab
   const handleLoadFont = useCallback((data) => {
-    // Validate and normalize the loaded data
-    const characters = Array(256).fill(null);
-    if (data.characters) {
-      data.characters.forEach((char, idx) => {
-        if (idx < 256 && char !== null) {
-          characters[idx] = {
-            segments: char.segments || 0,
-            name: char.name || null,
-          };
-        }
-      });
+    const loaded = normalizeFont(data);
+    openDocument(loaded, INITIAL_SELECTION, { label: `Load "${loaded.name}"` });
+  }, [openDocument]);
+
+  // Close a tab, confirming if it has unsaved changes
+  const handleCloseDocument = useCallback((id) => {
+    const doc = documents.find((d) => d.id === id);
+    if (doc && isDocumentDirty(doc) &&
+        !confirm(`Close "${documentFont(doc).name}"? Its unsaved changes will be lost.`)) {
+      return;
     }
-    // Ensure character 0 is always defined
-    if (characters[0] === null) {
-      characters[0] = { segments: 0, name: null };
+    closeDocument(id);
+  }, [documents, closeDocument]);
+
+  // Save the active font to the local library (updating its entry if it came from there)
+  const handleSaveToLibrary = useCallback(() => {
+    const id = library.saveFont(font, activeDocument.libraryId);
+    if (id) markSaved(font, id);
+  }, [library, font, activeDocument.libraryId, markSaved]);
+
+  // Open a library font, switching to its tab if it is already open
+  const handleOpenFromLibrary = useCallback((entry) => {
+    const open = documents.find((doc) => doc.libraryId === entry.id);
+    if (open) {
+      activateDocument(open.id);
+    } else {
+      openDocument(entry.font, INITIAL_SELECTION, {
+        label: `Open "${entry.name}"`,
+        libraryId: entry.id,
+      });
     }
-    setFont({
-      name: data.name || 'Loaded Font',
-      characters,
+    setShowLibrary(false);
+  }, [documents, activateDocument, openDocument]);
+
+  // Change the wiring profile used for export
+  const handleWiringChange = useCallback((wiring) => {
+    commit((prev) => ({ ...prev, wiring }), {
+      label: `Wiring: ${wiring.name}`,
+      coalesceKey: 'wiring',
     });
-    setSelection({ anchor: 0, focus: 0, selected: new Set([0]) });
+  }, [commit]);
+
+  // Assign every slot's code point from a preset
+  const handleCodePageChange = useCallback((id) => {
+    const page = findCodePage(id);
+    if (!page) return;
+    commit((prev) => ({ ...prev, codePage: codePageForFont(page) }), { label: `Code page: ${page.name}` });
+  }, [commit]);
+
+  // Map one slot to a code point, or unmap it with null
+  const handleCodepointChange = useCallback((index, codepoint) => {
+    commit((prev) => {
+      const codePage = setCodepoint(prev.codePage, index, codepoint);
+      return codePage === prev.codePage ? prev : { ...prev, codePage };
+    }, {
+      label: codepoint === null
+        ? `Unmap ${formatIndex(index)}`
+        : `Map ${formatIndex(index)} to ${formatCodepoint(codepoint)}`,
+    });
+  }, [commit]);
+
+  // Open the import preview for an assembly or C source file
+  const handleImportSource = useCallback((text, fileName) => {
+    setImportSource({ text, fileName });
   }, []);
 
+  // Write characters into their slots as one undo step and select them
+  const placeCharacters = useCallback((placements, label) => {
+    const indices = placements.map((p) => p.index);
+    const anchor = Math.min(...indices);
+    commit((prev) => {
+      const newCharacters = [...prev.characters];
+      for (const { index, char } of placements) {
+        newCharacters[index] = char;
+      }
+      return { ...prev, characters: newCharacters };
+    }, {
+      label,
+      selection: { anchor, focus: Math.max(...indices), selected: new Set(indices) },
+    });
+  }, [commit]);
+
+  const handleImportCharacters = useCallback((placements, sourceName) => {
+    placeCharacters(placements, `Import ${pluralChars(placements.length)} from ${sourceName}`);
+    setImportSource(null);
+    setShowTableImport(false);
+  }, [placeCharacters]);
+
+  const handleApplySuggestions = useCallback((placements, family) => {
+    placeCharacters(placements, `Suggest ${pluralChars(placements.length)} from ${family}`);
+    setShowSuggest(false);
+  }, [placeCharacters]);
+
+  // Take slots from the font being compared against, including removals
+  const handleAcceptFromFont = useCallback((indices, other) => {
+    placeCharacters(
+      indices.map((index) => ({ index, char: other.characters[index] })),
+      `Accept ${pluralChars(indices.length)} from "${other.name}"`,
+    );
+  }, [placeCharacters]);
+
+  // Copy a starter font's glyphs into the selected slots
+  const handleInsertStarter = useCallback((starter, mode) => {
+    const placements = starterPlacements(starter, selection, mode);
+    placeCharacters(placements, `Insert ${pluralChars(placements.length)} from "${starter.name}"`);
+    setShowNewFont(false);
+  }, [selection, placeCharacters]);
+
   // Save font as JSON
   const handleSaveFont = useCallback(() => {
     const dataStr = JSON.stringify(font, null, 2);
@@ -87,17 +265,103 @@ function App() {
     a.download = `${font.name.replace(/[^a-z0-9]/gi, '_')}.json`;
     a.click();
     URL.revokeObjectURL(url);
+    markSaved(font);
+  }, [font, markSaved]);
+
+  // Copy a link that carries the font in its fragment. Returns true once copied
+  const handleShareLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(await createShareLink(font));
+      return true;
+    } catch (err) {
+      alert('Could not copy the share link: ' + err.message);
+      return false;
+    }
   }, [font]);
 
-  // Show export dialog
+  // Open a share link from the address bar, on load or when it is pasted into this tab
+  useEffect(() => {
+    const openShared = async () => {
+      if (!isShareFragment(window.location.hash)) return;
+      try {
+        setSharedFont(await readShareFragment(window.location.hash));
+      } catch (err) {
+        alert('Could not open the share link: ' + err.message);
+      }
+    };
+    openShared();
+    window.addEventListener('hashchange', openShared);
+    return () => window.removeEventListener('hashchange', openShared);
+  }, []);
+
+  // Leave the shared view, dropping the font from the address bar
+  const closeShared = useCallback(() => {
+    setSharedFont(null);
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }, []);
+
+  const handleForkShared = useCallback(() => {
+    openDocument(sharedFont, INITIAL_SELECTION, { label: `Fork "${sharedFont.name}"` });
+    closeShared();
+  }, [openDocument, sharedFont, closeShared]);
+
+  // Restore the autosaved session offered at startup
+  const handleRestoreSession = useCallback(() => {
+    replaceDocuments(sessionDocuments(recovery), recovery.activeIndex);
+    setExportSettings(recovery.exportSettings);
+    setRecovery(null);
+  }, [replaceDocuments, recovery]);
+
+  // Autosave shortly after the last change (held off until the recovery prompt is answered)
+  useEffect(() => {
+    if (recovery) return;
+    const timer = setTimeout(() => {
+      setAutosavedAt(saveSession({
+        documents: documents.map((doc) => ({
+          font: documentFont(doc),
+          selection: doc.selection,
+          dirty: isDocumentDirty(doc),
+          libraryId: doc.libraryId,
+        })),
+        activeIndex: documents.indexOf(activeDocument),
+        exportSettings,
+      }));
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [recovery, documents, activeDocument, exportSettings]);
+
+  // Warn before leaving with unsaved changes in any tab
+  const anyDirty = documents.some(isDocumentDirty);
+  useEffect(() => {
+    if (!anyDirty) return;
+    const onBeforeUnload = (e) => {
+      e.preventDefault();
+    };
+    window.addEventListener('beforeunload', onBeforeUnload);
+    return () => window.removeEventListener('beforeunload', onBeforeUnload);
+  }, [anyDirty]);
+
+  // Show export dialog, starting from the template this font was last exported with
   const handleExportAsm = useCallback(() => {
+    if (font.exportTemplate) {
+      setExportSettings((prev) => selectTemplate(prev, font.exportTemplate, templateLibrary.templates));
+    }
     setShowExportDialog(true);
-  }, []);
+  }, [font.exportTemplate, templateLibrary.templates]);
+
+  // Remember which template the font was exported with
+  const handleExported = useCallback((templateId) => {
+    if (!templateId) return;
+    commit((prev) => (prev.exportTemplate === templateId ? prev : { ...prev, exportTemplate: templateId }), {
+      label: 'Remember export template',
+    });
+  }, [commit]);
 
   // Handle selection changes (regular click, shift+click, ctrl+click)
   const handleSelect = useCallback((index, { shift = false, ctrl = false } = {}) => {
     // Clean up empty characters when clicking away, and auto-create at new location
-    setFont((prevFont) => {
+    const created = !shift && font.characters[index] === null;
+    commit((prevFont) => {
       const newCharacters = [...prevFont.characters];
       let changed = false;
 
@@ -119,54 +383,73 @@ function App() {
       }
 
       return changed ? { ...prevFont, characters: newCharacters } : prevFont;
-    });
-
-    setSelection((prev) => {
-      if (shift) {
-        // Shift+click: select range from anchor to clicked index
-        return {
-          anchor: prev.anchor,
-          focus: index,
-          selected: createSelectionRange(prev.anchor, index),
-        };
-      } else if (ctrl) {
-        // Ctrl+click: toggle individual selection
-        const newSelected = new Set(prev.selected);
-        if (newSelected.has(index)) {
-          newSelected.delete(index);
-          // If we removed the anchor, pick a new anchor from remaining selection
-          if (index === prev.anchor) {
-            const remaining = Array.from(newSelected);
-            const newAnchor = remaining.length > 0 ? remaining[0] : index;
-            return {
-              anchor: newAnchor,
-              focus: newAnchor,
-              selected: remaining.length > 0 ? newSelected : new Set([index]),
-            };
+    }, {
+      label: created ? `Create ${formatIndex(index)}` : 'Remove empty characters',
+      coalesceKey: 'auto-create',
+      selection: (prev) => {
+        if (shift) {
+          // Shift+click: select range from anchor to clicked index
+          return {
+            anchor: prev.anchor,
+            focus: index,
+            selected: createSelectionRange(prev.anchor, index),
+          };
+        } else if (ctrl) {
+          // Ctrl+click: toggle individual selection
+          const newSelected = new Set(prev.selected);
+          if (newSelected.has(index)) {
+            newSelected.delete(index);
+            // If we removed the anchor, pick a new anchor from remaining selection
+            if (index === prev.anchor) {
+              const remaining = Array.from(newSelected);
+              const newAnchor = remaining.length > 0 ? remaining[0] : index;
+              return {
+                anchor: newAnchor,
+                focus: newAnchor,
+                selected: remaining.length > 0 ? newSelected : new Set([index]),
+              };
+            }
+          } else {
+            newSelected.add(index);
           }
+          return { anchor: index, focus: index, selected: newSelected };
         } else {
-          newSelected.add(index);
+          // Regular click: single selection
+          return { anchor: index, focus: index, selected: new Set([index]) };
         }
-        return { anchor: index, focus: index, selected: newSelected };
-      } else {
-        // Regular click: single selection
-        return { anchor: index, focus: index, selected: new Set([index]) };
-      }
+      },
     });
-  }, [selection.selected]);
+  }, [selection.selected, font.characters, commit]);
+
+  // Step the editor to the previous or next slot, as if it had been clicked
+  const handleStepSlot = useCallback((delta) => {
+    const next = selection.anchor + delta;
+    if (next >= 0 && next < 256) handleSelect(next);
+  }, [selection.anchor, handleSelect]);
 
   // Update character at anchor index
-  const handleUpdateCharacter = useCallback((character) => {
-    setFont((prev) => {
+  // Consecutive edits to the same slot coalesce into one history entry
+  // A paint stroke is one undo step of its own; other segment edits on the same
+  // slot coalesce
+  const handleUpdateCharacter = useCallback((character, { stroke = false } = {}) => {
+    const current = font.characters[selection.anchor];
+    const renamed = current && character && current.name !== character.name;
+    commit((prev) => {
       const newCharacters = [...prev.characters];
       newCharacters[selection.anchor] = character;
       return { ...prev, characters: newCharacters };
+    }, renamed ? {
+      label: `Rename ${formatIndex(selection.anchor)}`,
+      coalesceKey: `name:${selection.anchor}`,
+    } : {
+      label: `Edit segments at ${formatIndex(selection.anchor)}`,
+      coalesceKey: stroke ? null : `segments:${selection.anchor}`,
     });
-  }, [selection.anchor]);
+  }, [selection.anchor, font.characters, commit]);
 
   // Copy segments from another character
   const handleCopyFrom = useCallback((fromIndex) => {
-    setFont((prev) => {
+    commit((prev) => {
       const sourceChar = prev.characters[fromIndex];
       if (!sourceChar) return prev;
 
@@ -176,8 +459,8 @@ function App() {
         segments: sourceChar.segments,
       };
       return { ...prev, characters: newCharacters };
-    });
-  }, [selection.anchor]);
+    }, { label: `Copy ${formatIndex(fromIndex)} to ${formatIndex(selection.anchor)}` });
+  }, [selection.anchor, commit]);
 
   // Move characters (drag and drop) - supports multi-selection
   // The dragged item lands at toIndex, other selected items maintain relative positions
@@ -203,8 +486,13 @@ function App() {
       return; // Reject move if any item would go out of bounds
     }
 
+    // Update selection to new positions
+    const newSelected = new Set(moves.map((m) => m.dst));
+    const newAnchor = Math.max(0, Math.min(255, selection.anchor + offset));
+    const newFocus = Math.max(0, Math.min(255, selection.focus + offset));
+
     // Update font
-    setFont((prev) => {
+    commit((prev) => {
       const newCharacters = [...prev.characters];
 
       // Collect all characters being moved
@@ -227,19 +515,11 @@ function App() {
       }
 
       return { ...prev, characters: newCharacters };
+    }, {
+      label: `Move ${pluralChars(moves.length)}`,
+      selection: { anchor: newAnchor, focus: newFocus, selected: newSelected },
     });
-
-    // Update selection to new positions
-    const newSelected = new Set(moves.map((m) => m.dst));
-    const newAnchor = Math.max(0, Math.min(255, selection.anchor + offset));
-    const newFocus = Math.max(0, Math.min(255, selection.focus + offset));
-
-    setSelection({
-      anchor: newAnchor,
-      focus: newFocus,
-      selected: newSelected,
-    });
-  }, [selection]);
+  }, [selection, commit]);
 
   // Copy character (ctrl + drag and drop) - supports multi-selection
   // The dragged item's copy lands at toIndex, other copies maintain relative positions
@@ -263,8 +543,13 @@ function App() {
       return;
     }
 
+    // Update selection to the copied characters
+    const newSelected = new Set(copies.map((c) => c.dst));
+    const newAnchor = Math.max(0, Math.min(255, selection.anchor + offset));
+    const newFocus = Math.max(0, Math.min(255, selection.focus + offset));
+
     // Update font
-    setFont((prev) => {
+    commit((prev) => {
       const newCharacters = [...prev.characters];
 
       // Place copies at destinations
@@ -273,27 +558,20 @@ function App() {
         if (sourceChar) {
           newCharacters[dst] = {
             segments: sourceChar.segments,
-            name: sourceChar.name ? `${sourceChar.name}_copy` : null,
+            name: sourceChar.name ? copyName(sourceChar.name, newCharacters) : null,
           };
         }
       }
 
       return { ...prev, characters: newCharacters };
+    }, {
+      label: `Copy ${pluralChars(copies.length)}`,
+      selection: { anchor: newAnchor, focus: newFocus, selected: newSelected },
     });
-
-    // Update selection to the copied characters
-    const newSelected = new Set(copies.map((c) => c.dst));
-    const newAnchor = Math.max(0, Math.min(255, selection.anchor + offset));
-    const newFocus = Math.max(0, Math.min(255, selection.focus + offset));
-
-    setSelection({
-      anchor: newAnchor,
-      focus: newFocus,
-      selected: newSelected,
-    });
-  }, [selection]);
+  }, [selection, commit]);
 
   // Copy selected characters to clipboard
+  // The clipboard outlives tab switches, so it can paste into another font
   const handleCopySelection = useCallback(() => {
     const selectedIndices = Array.from(selection.selected).sort((a, b) => a - b);
     const characters = selectedIndices
@@ -304,45 +582,58 @@ function App() {
       .filter((item) => item.char !== null);
 
     if (characters.length > 0) {
-      setClipboard({ characters });
+      setClipboard({ sourceId: activeDocument.id, characters });
     }
-  }, [selection, font.characters]);
+  }, [selection, font.characters, activeDocument.id]);
 
-  // Paste clipboard at anchor position
-  const handlePaste = useCallback(() => {
-    if (!clipboard || clipboard.characters.length === 0) return;
+  // Paste characters with their offsets relative to the target index.
+  // Names get a unique _copy suffix only when pasting back into the font they came from
+  const pasteCharacters = useCallback(({ sourceId, characters }, target, label) => {
+    if (characters.length === 0) return;
 
-    const pastes = clipboard.characters.map((item) => ({
-      dst: selection.anchor + item.offset,
+    const pastes = characters.map((item) => ({
+      dst: target + item.offset,
       char: item.char,
     }));
 
     // Check bounds
     if (pastes.some((p) => p.dst < 0 || p.dst >= 256)) return;
 
-    setFont((prev) => {
+    // Update selection to pasted characters
+    const newSelected = new Set(pastes.map((p) => p.dst));
+    const sameFont = sourceId === activeDocument.id;
+
+    commit((prev) => {
       const newCharacters = [...prev.characters];
       for (const { dst, char } of pastes) {
         newCharacters[dst] = {
           segments: char.segments,
-          name: char.name ? `${char.name}_copy` : null,
+          name: char.name && sameFont ? copyName(char.name, newCharacters) : char.name,
         };
       }
       return { ...prev, characters: newCharacters };
+    }, {
+      label,
+      selection: { anchor: target, focus: target, selected: newSelected },
     });
+  }, [activeDocument.id, commit]);
 
-    // Update selection to pasted characters
-    const newSelected = new Set(pastes.map((p) => p.dst));
-    setSelection({
-      anchor: selection.anchor,
-      focus: selection.anchor,
-      selected: newSelected,
-    });
-  }, [clipboard, selection.anchor]);
+  // Paste clipboard at anchor position
+  const handlePaste = useCallback(() => {
+    if (!clipboard) return;
+    pasteCharacters(clipboard, selection.anchor, `Paste at ${formatIndex(selection.anchor)}`);
+  }, [clipboard, selection.anchor, pasteCharacters]);
+
+  // Characters dragged in from another tab's grid land with the dragged one at toIndex
+  const handleDropCharacters = useCallback((payload, toIndex) => {
+    const source = documents.find((doc) => doc.id === payload.sourceId);
+    const from = source ? ` from "${documentFont(source).name}"` : '';
+    pasteCharacters(payload, toIndex, `Copy ${pluralChars(payload.characters.length)}${from}`);
+  }, [documents, pasteCharacters]);
 
   // Reset selected characters (clear segments to 0)
   const handleResetSelection = useCallback(() => {
-    setFont((prev) => {
+    commit((prev) => {
       const newCharacters = [...prev.characters];
       for (const idx of selection.selected) {
         if (newCharacters[idx]) {
@@ -350,8 +641,84 @@ function App() {
         }
       }
       return { ...prev, characters: newCharacters };
+    }, { label: `Reset ${pluralChars(selection.selected.size)}` });
+  }, [selection.selected, commit]);
+
+  // Mirror, rotate or shift the selected characters, in place or as copies from
+  // the target slot on. Glyphs the transform cannot handle are left alone
+  const handleTransform = useCallback((transformId, target) => {
+    const transform = findTransform(transformId);
+    const { placements, skipped } = transformCharacters(font, [...selection.selected], transform, target);
+    if (placements.length > 0 && target !== null) {
+      placeCharacters(placements, `${transform.name}: ${pluralChars(placements.length)} to ${formatIndex(placements[0].index)}`);
+    } else if (placements.length > 0) {
+      commit((prev) => {
+        const newCharacters = [...prev.characters];
+        for (const { index, char } of placements) {
+          newCharacters[index] = char;
+        }
+        return { ...prev, characters: newCharacters };
+      }, {
+        label: placements.length === 1
+          ? `${transform.name}: ${formatIndex(placements[0].index)}`
+          : `${transform.name}: ${pluralChars(placements.length)}`,
+      });
+    }
+    if (skipped.length > 0) {
+      alert(`${transform.name} left ${pluralChars(skipped.length)} unchanged: ${skipped.map(formatIndex).join(', ')}`);
+    }
+  }, [font, selection.selected, commit, placeCharacters]);
+
+  // Select every search match. The anchor goes to the first defined match, as the
+  // editor needs a character to show; matching empty slots are selected too
+  const handleSelectMatches = useCallback(() => {
+    const indices = [...searchResult.matches].sort((a, b) => a - b);
+    const anchor = indices.find((index) => font.characters[index]) ?? selection.anchor;
+    setSelection({ anchor, focus: anchor, selected: new Set([...indices, anchor]) });
+  }, [searchResult, font.characters, selection.anchor, setSelection]);
+
+  // Apply a batch operation's changes ([{ index, after }]) as one undo step
+  const handleApplyBatch = useCallback((changes, description) => {
+    commit((prev) => {
+      const newCharacters = [...prev.characters];
+      for (const { index, after } of changes) {
+        newCharacters[index] = { ...newCharacters[index], segments: after };
+      }
+      return { ...prev, characters: newCharacters };
+    }, { label: `${description} on ${pluralChars(changes.length)}` });
+    setShowBatch(false);
+  }, [commit]);
+
+  // Apply a bulk rename ([{ index, after }]) as one undo step
+  const handleBulkRename = useCallback((rows) => {
+    commit((prev) => {
+      const newCharacters = [...prev.characters];
+      for (const { index, after } of rows) {
+        newCharacters[index] = { ...newCharacters[index], name: after };
+      }
+      return { ...prev, characters: newCharacters };
+    }, { label: `Rename ${pluralChars(rows.length)}` });
+    setShowRename(false);
+  }, [commit]);
+
+  // Animation edits replace the whole list; the editor supplies label and coalescing
+  const handleAnimationsChange = useCallback((animations, options) => {
+    commit((prev) => ({ ...prev, animations }), options);
+  }, [commit]);
+
+  // Rename characters whose names would break the export target
+  const handleFixNames = useCallback((target, strategy) => {
+    commit((prev) => fixNames(prev, target, strategy), {
+      label: `Fix names for ${SYMBOL_TARGETS[target].name}`,
     });
-  }, [selection.selected]);
+  }, [commit]);
+
+  // Jump from a problem reported by the export or legibility checks to its slot
+  const handleSelectProblem = useCallback((index) => {
+    handleSelect(index);
+    setShowExportDialog(false);
+    setShowAnalysis(false);
+  }, [handleSelect]);
 
   // Keyboard handler for grid
   const handleKeyDown = useCallback((e) => {
@@ -412,38 +779,105 @@ function App() {
         handleSelect(next, { shift: e.shiftKey });
       }
     }
-  }, [font.characters, handleCopySelection, handlePaste, handleResetSelection, selection.focus, handleSelect]);
+  }, [font.characters, handleCopySelection, handlePaste, handleResetSelection, selection.focus, handleSelect, setSelection]);
+
+  // Global undo/redo: Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y (text fields keep their native undo)
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextInput(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [undo, redo]);
 
   return (
     <div className="min-h-screen bg-gray-900 flex flex-col">
       <Toolbar
         fontName={font.name}
+        codePageId={font.codePage.id}
+        dirty={dirty}
+        autosavedAt={autosavedAt}
         onFontNameChange={handleFontNameChange}
+        onCodePageChange={handleCodePageChange}
         onNewFont={handleNewFont}
         onLoadFont={handleLoadFont}
+        onImportSource={handleImportSource}
+        onImportTable={() => setShowTableImport(true)}
         onSaveFont={handleSaveFont}
+        onShareLink={handleShareLink}
         onExportAsm={handleExportAsm}
+        onExportBundle={() => setShowBundle(true)}
+        onShowLibrary={() => setShowLibrary(true)}
+        onCompare={() => setShowCompare(true)}
+        onAnalyse={() => setShowAnalysis(true)}
+      />
+
+      <TabBar
+        documents={documents}
+        activeId={activeDocument.id}
+        onActivate={activateDocument}
+        onClose={handleCloseDocument}
+        onNew={handleNewFont}
       />
 
       <div className="flex flex-1 p-4 gap-4">
         <div className="flex-shrink-0 overflow-auto max-h-[calc(100vh-120px)]">
+          <GridSearch
+            search={search}
+            matchCount={searchResult.matches?.size ?? null}
+            error={searchResult.error}
+            onChange={setSearch}
+            onSelectMatches={handleSelectMatches}
+          />
           <FontGrid
+            docId={activeDocument.id}
             font={font}
             selection={selection}
             onSelect={handleSelect}
             onReorder={handleReorder}
             onCopy={handleCopyCharacter}
+            onDropCharacters={handleDropCharacters}
             onKeyDown={handleKeyDown}
+            matches={searchResult.matches}
+            hideUnmatched={search.display === 'filter'}
           />
         </div>
 
-        <div className="flex-1 min-w-[400px]">
+        <div className="flex-1 min-w-[400px] flex flex-col gap-4">
           <CharacterEditor
             character={selectedCharacter}
             selection={selection}
             font={font}
             onUpdate={handleUpdateCharacter}
             onCopyFrom={handleCopyFrom}
+            onCodepointChange={handleCodepointChange}
+            onSuggest={() => setShowSuggest(true)}
+            onTransform={handleTransform}
+            onBatch={() => setShowBatch(true)}
+            onRename={() => setShowRename(true)}
+            onStep={handleStepSlot}
+            segmentKeys={segmentKeys}
+          />
+          <AnimationEditor font={font} selection={selection} onChange={handleAnimationsChange} />
+          <MessagePreview font={font} />
+        </div>
+
+        <div className="flex-shrink-0 w-64">
+          <HistoryPanel
+            history={history}
+            canUndo={canUndo}
+            canRedo={canRedo}
+            onUndo={undo}
+            onRedo={redo}
+            onJump={jumpTo}
           />
         </div>
       </div>
@@ -451,9 +885,143 @@ function App() {
       {showExportDialog && (
         <ExportDialog
           font={font}
+          selection={selection}
+          settings={exportSettings}
+          onSettingsChange={setExportSettings}
+          onWiringChange={handleWiringChange}
+          onFixNames={handleFixNames}
+          onSelectSlot={handleSelectProblem}
+          templates={templateLibrary.templates}
+          onSaveTemplate={templateLibrary.saveTemplate}
+          onDeleteTemplate={templateLibrary.deleteTemplate}
+          onImportTemplates={templateLibrary.importTemplates}
+          onExported={handleExported}
           onClose={() => setShowExportDialog(false)}
         />
       )}
+
+      {showBundle && (
+        <BundleDialog
+          font={font}
+          selection={selection}
+          binaryOptions={exportSettings.binary}
+          templates={templateLibrary.templates}
+          profiles={exportProfiles.profiles}
+          onSaveProfile={exportProfiles.saveProfile}
+          onDeleteProfile={exportProfiles.deleteProfile}
+          onClose={() => setShowBundle(false)}
+        />
+      )}
+
+      {showNewFont && (
+        <NewFontDialog
+          selection={selection}
+          onCreate={handleCreateFont}
+          onInsert={handleInsertStarter}
+          onClose={() => setShowNewFont(false)}
+        />
+      )}
+
+      {showLibrary && (
+        <LibraryDialog
+          entries={library.entries}
+          fontName={font.name}
+          libraryId={activeDocument.libraryId}
+          openIds={documents.map((doc) => doc.libraryId).filter(Boolean)}
+          onSaveCurrent={handleSaveToLibrary}
+          onOpen={handleOpenFromLibrary}
+          onRename={library.renameEntry}
+          onDuplicate={library.duplicateEntry}
+          onDelete={library.deleteEntry}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
+      {recovery && (
+        <RecoveryDialog
+          session={recovery}
+          onRestore={handleRestoreSession}
+          onDiscard={() => setRecovery(null)}
+        />
+      )}
+
+      {/* Shown once any recovery prompt is answered, so a restore cannot replace the fork */}
+      {sharedFont && !recovery && (
+        <SharedFontDialog
+          font={sharedFont}
+          onFork={handleForkShared}
+          onClose={closeShared}
+        />
+      )}
+
+      {importSource && (
+        <ImportDialog
+          fileName={importSource.fileName}
+          text={importSource.text}
+          font={font}
+          onImport={(placements) => handleImportCharacters(placements, importSource.fileName)}
+          onClose={() => setImportSource(null)}
+        />
+      )}
+
+      {showTableImport && (
+        <TableImportDialog
+          font={font}
+          onImport={handleImportCharacters}
+          onClose={() => setShowTableImport(false)}
+        />
+      )}
+
+      {showCompare && (
+        <CompareDialog
+          font={font}
+          candidates={[
+            ...documents
+              .filter((doc) => doc.id !== activeDocument.id)
+              .map((doc) => ({ key: doc.id, group: 'Open tabs', label: documentFont(doc).name, font: documentFont(doc) })),
+            ...library.entries
+              .map((entry) => ({ key: entry.id, group: 'Library', label: entry.name, font: entry.font })),
+          ]}
+          selection={selection}
+          onAccept={handleAcceptFromFont}
+          onClose={() => setShowCompare(false)}
+        />
+      )}
+
+      {showAnalysis && (
+        <ConfusabilityDialog
+          font={font}
+          onSelectSlot={handleSelectProblem}
+          onClose={() => setShowAnalysis(false)}
+        />
+      )}
+
+      {showBatch && (
+        <BatchDialog
+          font={font}
+          selection={selection}
+          onApply={handleApplyBatch}
+          onClose={() => setShowBatch(false)}
+        />
+      )}
+
+      {showRename && (
+        <RenameDialog
+          font={font}
+          selection={selection}
+          onApply={handleBulkRename}
+          onClose={() => setShowRename(false)}
+        />
+      )}
+
+      {showSuggest && (
+        <SuggestDialog
+          font={font}
+          selection={selection}
+          onApply={handleApplySuggestions}
+          onClose={() => setShowSuggest(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,262 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useEffect } from 'react';
+import SegmentDisplay from './SegmentDisplay';
+import {
+  MAX_DIGITS,
+  createAnimation,
+  createFrame,
+  resizeAnimation,
+  cellSegments,
+  totalDuration,
+} from '../lib/animations';
+import { formatIndex } from '../lib/codePages';
+
+export default function AnimationEditor({ font, selection, onChange }) {
+  const animations = font.animations;
+  const [selectedId, setSelectedId] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [frameIndex, setFrameIndex] = useState(0);
+
+  const animation = animations.find((a) => a.id === selectedId) ?? animations[0] ?? null;
+  const selectedSlots = [...selection.selected].filter((index) => font.characters[index]).sort((a, b) => a - b);
+  const shownFrame = animation ? animation.frames[Math.min(frameIndex, animation.frames.length - 1)] : null;
+
+  // Playback: advance after each frame's duration, looping
+  useEffect(() => {
+    if (!playing || !animation || animation.frames.length === 0) return;
+    const frame = animation.frames[frameIndex % animation.frames.length];
+    const timer = setTimeout(() => setFrameIndex((frameIndex + 1) % animation.frames.length), frame.duration);
+    return () => clearTimeout(timer);
+  }, [playing, animation, frameIndex]);
+
+  const replaceAnimation = (next, label, coalesceKey) => {
+    onChange(animations.map((a) => (a.id === next.id ? next : a)), { label, coalesceKey });
+  };
+
+  const updateFrames = (frames, label, coalesceKey) => {
+    replaceAnimation({ ...animation, frames }, `${label} in "${animation.name}"`, coalesceKey);
+  };
+
+  const updateFrame = (index, changes, label, coalesceKey) => {
+    updateFrames(animation.frames.map((f, i) => (i === index ? { ...f, ...changes } : f)), label, coalesceKey);
+  };
+
+  // Each paint stroke or cell toggle is its own undo step, so cell edits never coalesce
+  const updateCell = (frame, digit, cell) => {
+    const cells = animation.frames[frame].cells.map((c, i) => (i === digit ? cell : c));
+    updateFrame(frame, { cells }, `Edit frame ${frame + 1}`);
+  };
+
+  const handleNew = () => {
+    const created = createAnimation(`Animation ${animations.length + 1}`);
+    onChange([...animations, created], { label: `Add animation "${created.name}"` });
+    setSelectedId(created.id);
+    setFrameIndex(0);
+  };
+
+  const handleDelete = () => {
+    if (!confirm(`Delete the animation "${animation.name}"?`)) return;
+    onChange(animations.filter((a) => a.id !== animation.id), { label: `Delete animation "${animation.name}"` });
+    setSelectedId(null);
+    setPlaying(false);
+    setFrameIndex(0);
+  };
+
+  // One single-digit frame per selected slot, in slot order
+  const handleAddFromSelection = () => {
+    const frames = selectedSlots.map((slot) => {
+      const frame = createFrame(animation.digits);
+      return { ...frame, cells: [{ slot }, ...frame.cells.slice(1)] };
+    });
+    updateFrames([...animation.frames, ...frames], `Add ${frames.length} frames`);
+  };
+
+  const moveFrame = (index, delta) => {
+    const frames = [...animation.frames];
+    [frames[index], frames[index + delta]] = [frames[index + delta], frames[index]];
+    updateFrames(frames, `Move frame ${index + 1}`);
+  };
+
+  // Switch a cell between a slot reference (to the selected slot) and a free word
+  const toggleCellKind = (frame, digit) => {
+    const cell = animation.frames[frame].cells[digit];
+    updateCell(frame, digit, 'slot' in cell ? { segments: cellSegments(font, cell) } : { slot: selection.anchor });
+  };
+
+  return (
+    <div className="flex flex-col gap-3 p-4 bg-gray-800 rounded-lg">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold text-white">Animations</h2>
+        <div className="flex items-center gap-2">
+          {animations.length > 0 && (
+            <select
+              value={animation.id}
+              onChange={(e) => {
+                setSelectedId(e.target.value);
+                setFrameIndex(0);
+              }}
+              className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+            >
+              {animations.map((a) => (
+                <option key={a.id} value={a.id}>{a.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={handleNew}
+            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+          >
+            New
+          </button>
+          {animation && (
+            <button
+              onClick={handleDelete}
+              className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!animation ? (
+        <p className="text-sm text-gray-500">
+          Build spinners, progress bars and boot animations from frames of font characters or free segment words.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-400">
+            <label className="flex items-center gap-2">
+              Name:
+              <input
+                type="text"
+                value={animation.name}
+                onChange={(e) => replaceAnimation({ ...animation, name: e.target.value }, 'Rename animation', `animation-name:${animation.id}`)}
+                className="w-40 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Digits:
+              <input
+                type="number"
+                min={1}
+                max={MAX_DIGITS}
+                value={animation.digits}
+                onChange={(e) => {
+                  const digits = Math.min(MAX_DIGITS, Math.max(1, parseInt(e.target.value, 10) || 1));
+                  replaceAnimation(resizeAnimation(animation, digits), `Resize "${animation.name}"`, `animation-digits:${animation.id}`);
+                }}
+                className="w-16 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+              />
+            </label>
+            <span>{animation.frames.length} frames, {totalDuration(animation)} ms</span>
+          </div>
+
+          {/* Preview */}
+          <div className="flex items-center gap-3">
+            <div className="flex gap-1 w-max p-2 bg-black rounded">
+              {(shownFrame?.cells ?? []).map((cell, i) => (
+                <SegmentDisplay key={i} value={cellSegments(font, cell)} size={40} interactive={false} />
+              ))}
+            </div>
+            <button
+              onClick={() => setPlaying(!playing)}
+              disabled={animation.frames.length === 0}
+              className="px-3 py-1 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded text-sm"
+            >
+              {playing ? 'Stop' : 'Play'}
+            </button>
+          </div>
+
+          {/* Frames */}
+          <div className="max-h-80 overflow-auto space-y-1">
+            {animation.frames.map((frame, f) => (
+              <div
+                key={f}
+                className={`flex items-center gap-2 p-1 rounded ${f === frameIndex ? 'bg-gray-700' : 'bg-gray-900'}`}
+              >
+                <button
+                  onClick={() => setFrameIndex(f)}
+                  className="w-8 text-xs font-mono text-gray-400 hover:text-white"
+                  title="Show this frame in the preview"
+                >
+                  {f + 1}
+                </button>
+                <div className="flex flex-wrap gap-1 flex-1">
+                  {/* Painting a cell makes it a free word, detaching it from its slot */}
+                  {frame.cells.map((cell, d) => (
+                    <div key={d} className="flex flex-col items-center">
+                      <SegmentDisplay
+                        value={cellSegments(font, cell)}
+                        onPaint={(segments) => updateCell(f, d, { segments })}
+                        size={28}
+                        interactive={true}
+                      />
+                      <button
+                        onClick={() => toggleCellKind(f, d)}
+                        className={`text-[10px] font-mono ${'slot' in cell ? 'text-yellow-300' : 'text-gray-500'} hover:text-white`}
+                        title={'slot' in cell
+                          ? 'Shows this font slot; click to make it a free segment word'
+                          : `Free segment word; click to show the selected slot (${formatIndex(selection.anchor)}) instead`}
+                      >
+                        {'slot' in cell ? formatIndex(cell.slot) : 'word'}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <input
+                  type="number"
+                  min={1}
+                  value={frame.duration}
+                  onChange={(e) => updateFrame(f, { duration: Math.max(1, parseInt(e.target.value, 10) || 1) },
+                    `Frame ${f + 1} duration`, `animation-duration:${animation.id}:${f}`)}
+                  className="w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                  title="Duration in milliseconds"
+                />
+                <span className="text-xs text-gray-500">ms</span>
+                <div className="flex gap-1 text-gray-400">
+                  <button onClick={() => moveFrame(f, -1)} disabled={f === 0} className="hover:text-white disabled:opacity-30" title="Move up">&uarr;</button>
+                  <button onClick={() => moveFrame(f, 1)} disabled={f === animation.frames.length - 1} className="hover:text-white disabled:opacity-30" title="Move down">&darr;</button>
+                  <button
+                    onClick={() => updateFrames([...animation.frames.slice(0, f + 1), frame, ...animation.frames.slice(f + 1)], `Duplicate frame ${f + 1}`)}
+                    className="hover:text-white"
+                    title="Duplicate"
+                  >
+                    &#x29C9;
+                  </button>
+                  <button
+                    onClick={() => updateFrames(animation.frames.filter((_, i) => i !== f), `Delete frame ${f + 1}`)}
+                    className="hover:text-red-400"
+                    title="Delete"
+                  >
+                    &times;
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={() => updateFrames([...animation.frames, createFrame(animation.digits)], 'Add frame')}
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+            >
+              Add frame
+            </button>
+            <button
+              onClick={handleAddFromSelection}
+              disabled={selectedSlots.length === 0}
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded text-sm"
+              title="Add one frame per selected character, shown on the first digit"
+            >
+              Add frames from selection
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
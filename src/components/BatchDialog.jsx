@@ -0,0 +1,171 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState } from 'react';
+import SegmentDisplay from './SegmentDisplay';
+import { SEGMENTS, SEGMENT_NAMES } from '../lib/segments';
+import { ALL_SEGMENTS, BATCH_OPERATIONS, batchChanges, describeBatchOp } from '../lib/batchOps';
+import { parseLiteral } from '../lib/sourceImport';
+import { formatIndex } from '../lib/codePages';
+
+export default function BatchDialog({ font, selection, onApply, onClose }) {
+  const [op, setOp] = useState('set');
+  const [segmentMask, setSegmentMask] = useState(SEGMENTS.dp);
+  const [maskInput, setMaskInput] = useState('0x7FFF');
+  const [from, setFrom] = useState('a');
+  const [to, setTo] = useState('d');
+
+  const operation = BATCH_OPERATIONS.find((o) => o.id === op);
+  const parsedMask = parseLiteral(maskInput);
+  const maskValid = operation.operand !== 'mask' ||
+    (!isNaN(parsedMask) && parsedMask >= 0 && parsedMask <= ALL_SEGMENTS);
+  const params = {
+    op,
+    mask: operation.operand === 'mask' ? parsedMask : segmentMask,
+    from,
+    to,
+  };
+
+  const definedCount = [...selection.selected].filter((index) => font.characters[index]).length;
+  const changes = maskValid ? batchChanges(font, selection.selected, params) : [];
+
+  const segmentButton = (name, active, onClick) => (
+    <button
+      key={name}
+      onClick={onClick}
+      className={`px-2 py-1 text-xs rounded font-mono ${
+        active ? 'bg-red-600 text-white' : 'bg-gray-700 text-gray-400 hover:bg-gray-600'
+      }`}
+    >
+      {name}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[800px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Batch Edit</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Operation</label>
+            <select
+              value={op}
+              onChange={(e) => setOp(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
+            >
+              {BATCH_OPERATIONS.map((o) => (
+                <option key={o.id} value={o.id}>{o.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {operation.operand === 'segments' && (
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Segments</label>
+              <div className="flex flex-wrap gap-1">
+                {SEGMENT_NAMES.map((name) =>
+                  segmentButton(name, segmentMask & SEGMENTS[name], () => setSegmentMask(segmentMask ^ SEGMENTS[name])))}
+              </div>
+            </div>
+          )}
+
+          {operation.operand === 'mask' && (
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Mask</label>
+              <div className="flex items-center gap-3">
+                <input
+                  type="text"
+                  value={maskInput}
+                  onChange={(e) => setMaskInput(e.target.value)}
+                  className={`w-32 px-3 py-2 bg-gray-700 border rounded text-white font-mono ${
+                    maskValid ? 'border-gray-600' : 'border-red-500'
+                  }`}
+                />
+                <span className="text-sm text-gray-500 font-mono">
+                  {maskValid
+                    ? SEGMENT_NAMES.filter((name) => parsedMask & SEGMENTS[name]).join(' ') || '(no segments)'
+                    : `0x0000-0x${ALL_SEGMENTS.toString(16).toUpperCase()}`}
+                </span>
+              </div>
+            </div>
+          )}
+
+          {operation.operand === 'pair' && (
+            <div className="flex items-center gap-2 text-sm text-gray-400">
+              Copy the state of
+              <select
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white font-mono"
+              >
+                {SEGMENT_NAMES.map((name) => <option key={name} value={name}>{name}</option>)}
+              </select>
+              onto
+              <select
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white font-mono"
+              >
+                {SEGMENT_NAMES.map((name) => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+          )}
+
+          {/* Preview */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">
+              Preview: {changes.length} of {definedCount} selected characters change
+            </label>
+            <div className="bg-gray-900 rounded p-3 max-h-80 overflow-auto">
+              {changes.length === 0 ? (
+                <p className="text-sm text-gray-500">No changes</p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {changes.map(({ index, before, after }) => (
+                    <div key={index} className="flex flex-col items-center p-1 bg-gray-800 rounded">
+                      <div className="flex items-center gap-1">
+                        <SegmentDisplay value={before} size={28} interactive={false} />
+                        <span className="text-gray-500">&rarr;</span>
+                        <SegmentDisplay value={after} highlight={before ^ after} size={28} interactive={false} />
+                      </div>
+                      <span className="text-xs font-mono text-gray-400">{formatIndex(index)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(changes, describeBatchOp(params))}
+            disabled={changes.length === 0}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded"
+          >
+            Apply to {changes.length} character{changes.length === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState } from 'react';
+import { parseLiteral } from '../lib/sourceImport';
+import { exportRange } from '../lib/binaryExport';
+import { applyWiring } from '../lib/wiring';
+
+const formatHex = (value, digits) => '0x' + value.toString(16).toUpperCase().padStart(digits, '0');
+
+export default function BinaryExportOptions({ font, selection, options, byteCount, onChange }) {
+  const [addressInput, setAddressInput] = useState(formatHex(options.address, 4));
+  const [fillInput, setFillInput] = useState(options.fill === null ? '' : formatHex(options.fill, 4));
+
+  const address = parseLiteral(addressInput);
+  const addressValid = !isNaN(address) && address >= 0 && address <= 0xFFFFFFFF;
+  const fill = fillInput.trim() === '' ? null : parseLiteral(fillInput);
+  const fillValid = fill === null || (!isNaN(fill) && fill >= 0 && fill <= 0xFFFF);
+
+  const [first, last] = exportRange(font, options.range, selection);
+
+  const handleAddressChange = (text) => {
+    setAddressInput(text);
+    const value = parseLiteral(text);
+    if (!isNaN(value) && value >= 0 && value <= 0xFFFFFFFF) onChange({ address: value });
+  };
+
+  const handleFillChange = (text) => {
+    setFillInput(text);
+    if (text.trim() === '') {
+      onChange({ fill: null });
+      return;
+    }
+    const value = parseLiteral(text);
+    if (!isNaN(value) && value >= 0 && value <= 0xFFFF) onChange({ fill: value });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-400">
+        <label className="flex items-center gap-2">
+          Slots:
+          <select
+            value={options.range}
+            onChange={(e) => onChange({ range: e.target.value })}
+            className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+          >
+            <option value="all">All 256</option>
+            <option value="defined">Up to the last defined character</option>
+            <option value="selection">Current selection</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Byte order:
+          <select
+            value={options.endian}
+            onChange={(e) => onChange({ endian: e.target.value })}
+            className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+          >
+            <option value="little">Little-endian (Z80)</option>
+            <option value="big">Big-endian</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Load address:
+          <input
+            type="text"
+            value={addressInput}
+            onChange={(e) => handleAddressChange(e.target.value)}
+            className={`w-24 px-2 py-1 bg-gray-700 border rounded text-white font-mono ${
+              addressValid ? 'border-gray-600' : 'border-red-500'
+            }`}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Empty slots:
+          <input
+            type="text"
+            value={fillInput}
+            onChange={(e) => handleFillChange(e.target.value)}
+            placeholder={formatHex(applyWiring(0, font.wiring), 4)}
+            title="Word written for empty slots; leave empty for a blank glyph"
+            className={`w-24 px-2 py-1 bg-gray-700 border rounded text-white font-mono ${
+              fillValid ? 'border-gray-600' : 'border-red-500'
+            }`}
+          />
+        </label>
+      </div>
+      <p className="text-xs text-gray-500">
+        Slots {formatHex(first, 2)}-{formatHex(last, 2)} as 16-bit words: {byteCount} bytes
+        at {formatHex(options.address, 4)}-{formatHex(options.address + Math.max(byteCount - 1, 0), 4)}.
+        A raw binary does not record the load address.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,286 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useMemo } from 'react';
+import presets from '../presets.json';
+import BinaryExportOptions from './BinaryExportOptions';
+import { BINARY_FORMATS, binaryFile } from '../lib/binaryExport';
+import { findSource, defaultFileName, buildBundle } from '../lib/exportProfiles';
+import { templateContext, renderTemplate, safeFileName } from '../lib/exportTemplate';
+import { createZip } from '../lib/zip';
+
+// A new profile starts with the template the font was last exported with
+function newProfile(font, binary) {
+  return {
+    id: null,
+    name: '',
+    files: [{ source: font.exportTemplate || presets.presets[0].id, fileName: '' }],
+    binary,
+    includeFont: true,
+    includeManifest: true,
+  };
+}
+
+export default function BundleDialog({
+  font,
+  selection,
+  binaryOptions,
+  templates,
+  profiles,
+  onSaveProfile,
+  onDeleteProfile,
+  onClose,
+}) {
+  const [draft, setDraft] = useState(() => profiles[0] ?? newProfile(font, binaryOptions));
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+  const updateFile = (i, changes) =>
+    update({ files: draft.files.map((f, j) => (j === i ? { ...f, ...changes } : f)) });
+
+  const context = useMemo(() => templateContext(font), [font]);
+  const bundle = useMemo(
+    () => buildBundle(font, draft, { userTemplates: templates, selection }),
+    [font, draft, templates, selection],
+  );
+  const hasBinary = draft.files.some((f) => findSource(f.source, templates)?.kind === 'binary');
+  const byteCount = useMemo(
+    () => binaryFile(font, 'bin', draft.binary, selection).bytes.length,
+    [font, draft.binary, selection],
+  );
+
+  const saved = profiles.find((p) => p.id === draft.id);
+
+  const handleSelectProfile = (id) => {
+    setDraft(profiles.find((p) => p.id === id) ?? newProfile(font, binaryOptions));
+  };
+
+  const handleSave = (asNew) => {
+    const { id, ...fields } = draft;
+    const savedId = onSaveProfile({ ...fields, name: draft.name.trim() }, asNew ? null : id);
+    if (savedId) update({ id: savedId, name: draft.name.trim() });
+  };
+
+  const handleDelete = () => {
+    if (!confirm(`Delete the profile "${saved.name}"?`)) return;
+    if (onDeleteProfile(saved.id)) setDraft(newProfile(font, binaryOptions));
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([createZip(bundle.files)], { type: 'application/zip' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${safeFileName(font.name)}.zip`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[800px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Export Bundle</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          {/* Profile */}
+          <div className="flex items-end gap-2">
+            <div className="flex-1">
+              <label className="block text-sm text-gray-400 mb-1">Profile</label>
+              <select
+                value={draft.id ?? 'new'}
+                onChange={(e) => handleSelectProfile(e.target.value)}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
+              >
+                {profiles.map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+                <option value="new">New profile...</option>
+              </select>
+            </div>
+            <div className="flex-1">
+              <label className="block text-sm text-gray-400 mb-1">Name</label>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => update({ name: e.target.value })}
+                placeholder="e.g. Firmware build"
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
+              />
+            </div>
+            <button
+              onClick={() => handleSave(false)}
+              disabled={!draft.name.trim()}
+              className="px-3 py-2 bg-gray-600 hover:bg-gray-500 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded text-sm"
+            >
+              Save
+            </button>
+            {saved && (
+              <>
+                <button
+                  onClick={() => handleSave(true)}
+                  disabled={!draft.name.trim()}
+                  className="px-3 py-2 bg-gray-600 hover:bg-gray-500 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded text-sm"
+                >
+                  Save as new
+                </button>
+                <button
+                  onClick={handleDelete}
+                  className="px-3 py-2 bg-red-700 hover:bg-red-600 text-white rounded text-sm"
+                >
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+
+          {/* Files */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">
+              Files (names are templates, e.g. <code className="font-mono">{'{{nameLower}}'}.h</code>)
+            </label>
+            <div className="space-y-2">
+              {draft.files.map((file, i) => {
+                const source = findSource(file.source, templates);
+                const pattern = file.fileName || defaultFileName(source?.extension ?? 'txt');
+                const rendered = renderTemplate(pattern, context);
+                return (
+                  <div key={i} className="flex items-center gap-2">
+                    <select
+                      value={source ? file.source : ''}
+                      onChange={(e) => updateFile(i, { source: e.target.value })}
+                      className="w-56 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                    >
+                      {!source && <option value="">(missing template)</option>}
+                      <optgroup label="Built-in">
+                        {presets.presets.map((p) => (
+                          <option key={p.id} value={p.id}>{p.name}</option>
+                        ))}
+                      </optgroup>
+                      {templates.length > 0 && (
+                        <optgroup label="My templates">
+                          {templates.map((t) => (
+                            <option key={t.id} value={t.id}>{t.name}</option>
+                          ))}
+                        </optgroup>
+                      )}
+                      <optgroup label="Binary">
+                        {BINARY_FORMATS.map((f) => (
+                          <option key={f.id} value={f.id}>{f.name}</option>
+                        ))}
+                      </optgroup>
+                    </select>
+                    <input
+                      type="text"
+                      value={file.fileName}
+                      onChange={(e) => updateFile(i, { fileName: e.target.value })}
+                      placeholder={pattern}
+                      className="flex-1 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm font-mono"
+                    />
+                    <span className={`w-40 truncate text-xs font-mono ${rendered.error ? 'text-red-400' : 'text-gray-400'}`}>
+                      {rendered.error ? 'Bad file name' : rendered.output}
+                    </span>
+                    <button
+                      onClick={() => update({ files: draft.files.filter((_, j) => j !== i) })}
+                      className="text-gray-400 hover:text-red-400 text-lg leading-none"
+                      title="Remove this file"
+                    >
+                      &times;
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+            <button
+              onClick={() => update({ files: [...draft.files, { source: presets.presets[0].id, fileName: '' }] })}
+              className="mt-2 px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+            >
+              Add file
+            </button>
+          </div>
+
+          {hasBinary && (
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">Binary files</label>
+              <BinaryExportOptions
+                key={draft.id ?? 'new'}
+                font={font}
+                selection={selection}
+                options={draft.binary}
+                byteCount={byteCount}
+                onChange={(changes) => update({ binary: { ...draft.binary, ...changes } })}
+              />
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-400">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={draft.includeFont}
+                onChange={(e) => update({ includeFont: e.target.checked })}
+              />
+              Include the font JSON
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={draft.includeManifest}
+                onChange={(e) => update({ includeManifest: e.target.checked })}
+              />
+              Include a manifest
+            </label>
+          </div>
+
+          {/* Contents */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Archive contents</label>
+            {bundle.errors.length > 0 && (
+              <div className="p-3 mb-2 bg-red-900/50 border border-red-700 rounded text-red-200 text-sm space-y-1">
+                {bundle.errors.map((message) => <div key={message}>{message}</div>)}
+              </div>
+            )}
+            <div className="bg-gray-900 rounded p-3 text-sm font-mono text-gray-300 space-y-0.5">
+              {bundle.files.length === 0 ? (
+                <div className="text-gray-500">(no files)</div>
+              ) : bundle.files.map(({ name, data }) => (
+                <div key={name} className="flex justify-between">
+                  <span>{name}</span>
+                  <span className="text-gray-500">
+                    {typeof data === 'string' ? new TextEncoder().encode(data).length : data.length} bytes
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleDownload}
+            disabled={bundle.errors.length > 0 || bundle.files.length === 0}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded"
+          >
+            Download zip
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -3,7 +3,14 @@
  * SPDX-License-Identifier: BSD-3-Clause
  */
 import { useState } from 'react';
-import SegmentDisplay, { SEGMENTS } from './SegmentDisplay';
+import SegmentDisplay from './SegmentDisplay';
+import { SEGMENTS } from '../lib/segments';
+import { formatCodepoint, parseCodepoint, printableChar } from '../lib/codePages';
+import { TRANSFORMS, transformSegments } from '../lib/transforms';
+import { parseLiteral } from '../lib/sourceImport';
+import { KEY_LAYOUTS, SEGMENT_ORDER, canBindKey, keyLabel, neighbourSegment, segmentForKey } from '../lib/segmentKeys';
+
+const ARROW_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
 
 export default function CharacterEditor({
   character,
@@ -11,15 +18,71 @@ export default function CharacterEditor({
   font,
   onUpdate,
   onCopyFrom,
+  onCodepointChange,
+  onSuggest,
+  onTransform,
+  onBatch,
+  onRename,
+  onStep,
+  segmentKeys,
 }) {
   const characterIndex = selection.anchor;
   const selectionCount = selection.selected.size;
   const [copyFromIndex, setCopyFromIndex] = useState('');
+  const [codepointInput, setCodepointInput] = useState(null); // text while editing
+  const [transformTarget, setTransformTarget] = useState(''); // empty transforms in place
+  const [focusedSegment, setFocusedSegment] = useState('a');
+  const [displayFocused, setDisplayFocused] = useState(false);
+  const [bindingSegment, setBindingSegment] = useState(null); // segment waiting for a new key
+  const codepoint = font.codePage.codepoints[characterIndex];
+  const codepointText = codepointInput ?? (codepoint !== null ? formatCodepoint(codepoint) : '');
+  const codepointValid = !Number.isNaN(parseCodepoint(codepointText));
 
   const handleSegmentClick = (segment) => {
     if (!character) return;
     const newSegments = character.segments ^ SEGMENTS[segment];
     onUpdate({ ...character, segments: newSegments });
+    setFocusedSegment(segment);
+  };
+
+  // Keyboard editing while the display has focus: layout keys toggle segments,
+  // arrows and Tab move the focus ring, Enter toggles the focused segment and
+  // PageUp/PageDown step to the previous or next slot
+  const handleDisplayKeyDown = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    setDisplayFocused(true);
+    const segment = segmentForKey(segmentKeys.keys, e.code);
+    if (segment) {
+      e.preventDefault();
+      if (!e.repeat) handleSegmentClick(segment);
+    } else if (ARROW_KEYS.includes(e.key)) {
+      e.preventDefault();
+      setFocusedSegment(neighbourSegment(focusedSegment, e.key));
+    } else if (e.key === 'Tab') {
+      // Tabbing past the first or last segment leaves the display
+      const next = SEGMENT_ORDER.indexOf(focusedSegment) + (e.shiftKey ? -1 : 1);
+      if (next >= 0 && next < SEGMENT_ORDER.length) {
+        e.preventDefault();
+        setFocusedSegment(SEGMENT_ORDER[next]);
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (!e.repeat) handleSegmentClick(focusedSegment);
+    } else if (e.code === 'PageUp' || e.code === 'PageDown') {
+      e.preventDefault();
+      onStep(e.code === 'PageUp' ? -1 : 1);
+    }
+  };
+
+  const handleBindKeyDown = (e) => {
+    if (e.key === 'Tab') return;
+    e.preventDefault();
+    if (e.key === 'Escape') {
+      setBindingSegment(null);
+    } else if (canBindKey(e.code)) {
+      segmentKeys.bindSegmentKey(bindingSegment, e.code);
+      setBindingSegment(null);
+    }
   };
 
   const handleNameChange = (e) => {
@@ -27,6 +90,21 @@ export default function CharacterEditor({
     onUpdate({ ...character, name: e.target.value || null });
   };
 
+  const applyCodepoint = () => {
+    if (codepointInput === null) return;
+    const value = parseCodepoint(codepointInput);
+    if (!Number.isNaN(value)) onCodepointChange(characterIndex, value);
+    setCodepointInput(null);
+  };
+
+  const handleCodepointKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      applyCodepoint();
+    } else if (e.key === 'Escape') {
+      setCodepointInput(null);
+    }
+  };
+
   const handleCopyFrom = () => {
     const index = parseInt(copyFromIndex, 10);
     if (!isNaN(index) && index >= 0 && index < 256 && font.characters[index]) {
@@ -35,6 +113,12 @@ export default function CharacterEditor({
     }
   };
 
+  // Transforms act on every selected character, or write copies from the target slot on
+  const target = transformTarget.trim() === '' ? null : parseLiteral(transformTarget);
+  const targetValid = target === null || (!isNaN(target) && target >= 0 && target <= 255);
+  const canTransform = (transform) => targetValid && [...selection.selected].some((index) =>
+    font.characters[index] && transformSegments(font.characters[index].segments, transform) !== null);
+
   const formatBinary = (value) => {
     return value.toString(2).padStart(15, '0');
   };
@@ -60,22 +144,60 @@ export default function CharacterEditor({
             <p className="text-sm text-blue-400">{selectionCount} characters selected</p>
           )}
         </div>
-        <button
-          onClick={() => onUpdate({ ...character, segments: 0 })}
-          className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm"
-        >
-          Reset
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={onSuggest}
+            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+            title="Suggest glyphs from a typeface"
+          >
+            Suggest...
+          </button>
+          <button
+            onClick={onBatch}
+            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+            title="Change segments on every selected character"
+          >
+            Batch...
+          </button>
+          <button
+            onClick={onRename}
+            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+            title="Name every selected character from a pattern"
+          >
+            Rename...
+          </button>
+          <button
+            onClick={() => onUpdate({ ...character, segments: 0 })}
+            className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm"
+          >
+            Reset
+          </button>
+        </div>
       </div>
 
       <div className="flex gap-6">
         <div className="flex-shrink-0">
-          <SegmentDisplay
-            value={character.segments}
-            onSegmentClick={handleSegmentClick}
-            size={200}
-            interactive={true}
-          />
+          <div
+            tabIndex={0}
+            role="group"
+            aria-label={`Segments of character ${characterIndex}`}
+            onKeyDown={handleDisplayKeyDown}
+            onFocus={(e) => setDisplayFocused(e.currentTarget.matches(':focus-visible'))}
+            onBlur={() => setDisplayFocused(false)}
+            className="w-fit rounded outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+          >
+            <SegmentDisplay
+              value={character.segments}
+              onPaint={(segments) => onUpdate({ ...character, segments }, { stroke: true })}
+              size={200}
+              interactive={true}
+              focused={displayFocused ? focusedSegment : null}
+            />
+          </div>
+          <p className="w-56 mt-2 text-xs text-gray-500">
+            Click or tab to the digit to draw from the keyboard: keys toggle segments, arrows and Tab
+            move, Enter toggles, PageUp/PageDown change slot.
+          </p>
         </div>
 
         <div className="flex flex-col gap-3 flex-1">
@@ -90,6 +212,27 @@ export default function CharacterEditor({
             />
           </div>
 
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Unicode ({font.codePage.name})</label>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={codepointText}
+                onChange={(e) => setCodepointInput(e.target.value)}
+                onBlur={applyCodepoint}
+                onKeyDown={handleCodepointKeyDown}
+                placeholder="Unmapped"
+                title="U+00E9, 0xE9 or the character itself; empty to unmap"
+                className={`flex-1 px-3 py-2 bg-gray-700 border rounded text-white font-mono placeholder-gray-500 ${
+                  codepointValid ? 'border-gray-600' : 'border-red-500'
+                }`}
+              />
+              <span className="w-8 text-center text-2xl text-white">
+                {printableChar(codepoint) ?? ''}
+              </span>
+            </div>
+          </div>
+
           <div>
             <label className="block text-sm text-gray-400 mb-1">Control Word</label>
             <div className="font-mono text-lg text-green-400">
@@ -107,6 +250,7 @@ export default function CharacterEditor({
                 <button
                   key={name}
                   onClick={() => handleSegmentClick(name)}
+                  title={segmentKeys.keys[name] ? `Key: ${keyLabel(segmentKeys.keys[name])}` : 'No key'}
                   className={`px-2 py-1 text-xs rounded font-mono ${
                     character.segments & bit
                       ? 'bg-red-600 text-white'
@@ -119,6 +263,76 @@ export default function CharacterEditor({
             </div>
           </div>
 
+          <div>
+            <div className="flex items-center gap-2 mb-1">
+              <label className="text-sm text-gray-400">Keyboard</label>
+              <select
+                value={segmentKeys.layout}
+                onChange={(e) => {
+                  segmentKeys.setLayout(e.target.value);
+                  setBindingSegment(null);
+                }}
+                className="px-2 py-0.5 bg-gray-700 border border-gray-600 rounded text-white text-xs"
+              >
+                {KEY_LAYOUTS.map((l) => (
+                  <option key={l.id} value={l.id}>{l.name}</option>
+                ))}
+                <option value="custom">Custom</option>
+              </select>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {SEGMENT_ORDER.map((name) => (
+                segmentKeys.layout === 'custom' ? (
+                  <button
+                    key={name}
+                    onClick={() => setBindingSegment(bindingSegment === name ? null : name)}
+                    onKeyDown={bindingSegment === name ? handleBindKeyDown : undefined}
+                    onBlur={() => bindingSegment === name && setBindingSegment(null)}
+                    title="Click, then press the key for this segment"
+                    className={`px-2 py-1 text-xs rounded font-mono ${
+                      bindingSegment === name ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                    }`}
+                  >
+                    {name}: {bindingSegment === name ? '...' : keyLabel(segmentKeys.keys[name]) || '-'}
+                  </button>
+                ) : (
+                  <span key={name} className="px-2 py-1 text-xs rounded font-mono bg-gray-900 text-gray-400">
+                    {name}: {keyLabel(segmentKeys.keys[name])}
+                  </span>
+                )
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">
+              Transform{selectionCount > 1 && ` ${selectionCount} characters`}
+            </label>
+            <div className="flex flex-wrap items-center gap-1">
+              {TRANSFORMS.map((transform) => (
+                <button
+                  key={transform.id}
+                  onClick={() => onTransform(transform.id, target)}
+                  disabled={!canTransform(transform)}
+                  title={transform.name}
+                  className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded text-xs"
+                >
+                  {transform.label}
+                </button>
+              ))}
+              <input
+                type="text"
+                value={transformTarget}
+                onChange={(e) => setTransformTarget(e.target.value)}
+                placeholder="in place"
+                title="Slot to write a transformed copy to (e.g. 0x64); empty to transform in place"
+                className={`w-24 ml-1 px-2 py-1 bg-gray-700 border rounded text-white text-xs font-mono placeholder-gray-500 ${
+                  targetValid ? 'border-gray-600' : 'border-red-500'
+                }`}
+              />
+            </div>
+          </div>
+
           <div>
             <label className="block text-sm text-gray-400 mb-1">Copy from character</label>
             <div className="flex gap-2">
@@ -0,0 +1,243 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useMemo, useRef } from 'react';
+import SegmentDisplay from './SegmentDisplay';
+import { normalizeFont } from '../lib/font';
+import { diffFonts, describeDiff } from '../lib/fontDiff';
+import { formatIndex } from '../lib/codePages';
+
+const STATUS_STYLES = {
+  added: 'bg-green-700 text-green-100',
+  removed: 'bg-red-700 text-red-100',
+  changed: 'bg-yellow-700 text-yellow-100',
+};
+
+const FILE_KEY = 'file';
+
+// candidates: [{ key, group, label, font }] fonts that can be compared against
+export default function CompareDialog({ font, candidates, selection, onAccept, onClose }) {
+  const [sourceKey, setSourceKey] = useState(candidates[0]?.key ?? '');
+  const [fileFont, setFileFont] = useState(null); // { name, font } loaded from disk
+  const [checked, setChecked] = useState(new Set());
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const other = sourceKey === FILE_KEY
+    ? fileFont?.font
+    : candidates.find((c) => c.key === sourceKey)?.font;
+
+  const diffs = useMemo(() => (other ? diffFonts(font, other) : []), [font, other]);
+  const checkedDiffs = diffs.filter((d) => checked.has(d.index));
+  const counts = diffs.reduce((acc, d) => ({ ...acc, [d.status]: (acc[d.status] || 0) + 1 }), {});
+
+  const handleSourceChange = (key) => {
+    setSourceKey(key);
+    setChecked(new Set());
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        setFileFont({ name: file.name, font: normalizeFont(JSON.parse(event.target.result)) });
+        handleSourceChange(FILE_KEY);
+        setError(null);
+      } catch (err) {
+        setError(`Failed to parse ${file.name}: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const toggleChecked = (index) => {
+    setChecked((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  // Check the differences that fall inside the grid selection
+  const checkGridSelection = () => {
+    setChecked(new Set(diffs.filter((d) => selection.selected.has(d.index)).map((d) => d.index)));
+  };
+
+  const accept = (indices) => {
+    onAccept(indices, other);
+    setChecked((prev) => new Set([...prev].filter((index) => !indices.includes(index))));
+  };
+
+  const groups = [...new Set(candidates.map((c) => c.group))];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[900px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Compare Fonts</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          {/* Source */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">
+              Compare &ldquo;{font.name}&rdquo; with
+            </label>
+            <div className="flex gap-2">
+              <select
+                value={sourceKey}
+                onChange={(e) => handleSourceChange(e.target.value)}
+                className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
+              >
+                <option value="" disabled>Select a font...</option>
+                {groups.map((group) => (
+                  <optgroup key={group} label={group}>
+                    {candidates.filter((c) => c.group === group).map((c) => (
+                      <option key={c.key} value={c.key}>{c.label}</option>
+                    ))}
+                  </optgroup>
+                ))}
+                {fileFont && <option value={FILE_KEY}>{fileFont.name}</option>}
+              </select>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+              >
+                Load file...
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+            </div>
+            {error && <p className="text-sm text-red-400 mt-1">{error}</p>}
+          </div>
+
+          {other && (
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="text-sm text-gray-400">
+                  {diffs.length === 0
+                    ? 'No differences'
+                    : `${diffs.length} different slots: ${counts.added || 0} added, ${counts.removed || 0} removed, ${counts.changed || 0} changed`}
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setChecked(new Set(diffs.map((d) => d.index)))}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                  >
+                    Check all
+                  </button>
+                  <button
+                    onClick={checkGridSelection}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                  >
+                    Check grid selection
+                  </button>
+                  <button
+                    onClick={() => setChecked(new Set())}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                  >
+                    Clear
+                  </button>
+                </div>
+              </div>
+              <div className="h-96 overflow-auto bg-gray-900 border border-gray-600 rounded">
+                <table className="w-full text-sm">
+                  <thead className="sticky top-0 bg-gray-900 text-gray-500 text-xs">
+                    <tr>
+                      <th className="w-8" />
+                      <th className="text-left p-2">Slot</th>
+                      <th className="text-left p-2">Change</th>
+                      <th className="p-2">This font</th>
+                      <th className="p-2">Other font</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {diffs.map((d) => {
+                      const mask = (d.current?.segments ?? 0) ^ (d.other?.segments ?? 0);
+                      return (
+                        <tr key={d.index} className="border-t border-gray-800">
+                          <td className="p-2 text-center">
+                            <input
+                              type="checkbox"
+                              checked={checked.has(d.index)}
+                              onChange={() => toggleChecked(d.index)}
+                            />
+                          </td>
+                          <td className="p-2 font-mono text-gray-400">{formatIndex(d.index)}</td>
+                          <td className="p-2">
+                            <span className={`px-1.5 py-0.5 rounded text-xs ${STATUS_STYLES[d.status]}`}>
+                              {describeDiff(d)}
+                            </span>
+                          </td>
+                          <td className={`p-2 ${d.current ? '' : 'opacity-30'}`}>
+                            <div className="flex items-center justify-center gap-2">
+                              <SegmentDisplay value={d.current?.segments ?? 0} highlight={mask} size={28} interactive={false} />
+                              <span className="w-24 truncate text-xs text-yellow-300">{d.current?.name}</span>
+                            </div>
+                          </td>
+                          <td className={`p-2 ${d.other ? '' : 'opacity-30'}`}>
+                            <div className="flex items-center justify-center gap-2">
+                              <SegmentDisplay value={d.other?.segments ?? 0} highlight={mask} size={28} interactive={false} />
+                              <span className="w-24 truncate text-xs text-yellow-300">{d.other?.name}</span>
+                            </div>
+                          </td>
+                          <td className="p-2 text-right">
+                            <button
+                              onClick={() => accept([d.index])}
+                              className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                            >
+                              Accept
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Segments that differ are drawn in amber: bright where the glyph has them, faint where it lacks them.
+              </p>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Close
+          </button>
+          <button
+            onClick={() => accept(checkedDiffs.map((d) => d.index))}
+            disabled={checkedDiffs.length === 0}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded"
+          >
+            Accept {checkedDiffs.length > 0 && checkedDiffs.length} from other font
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
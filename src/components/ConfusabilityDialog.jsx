@@ -0,0 +1,202 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useMemo, useRef, useEffect } from 'react';
+import SegmentDisplay from './SegmentDisplay';
+import { printableChar, formatIndex } from '../lib/codePages';
+import { DEFAULT_MAX_DISTANCE, analyseConfusability } from '../lib/confusability';
+
+const MATRIX_SIZE = 360; // heat map size in CSS pixels
+
+// Heat map colour: red for identical, amber within the distance limit, fading grey beyond
+function distanceColor(distance, maxDistance) {
+  if (distance === 0) return '#dc2626';
+  if (distance <= maxDistance) return '#f59e0b';
+  const v = Math.max(24, 140 - distance * 12);
+  return `rgb(${v}, ${v}, ${v})`;
+}
+
+export default function ConfusabilityDialog({ font, onSelectSlot, onClose }) {
+  const [maxDistance, setMaxDistance] = useState(DEFAULT_MAX_DISTANCE);
+  const [ignoreBlank, setIgnoreBlank] = useState(true);
+  const [hover, setHover] = useState(null); // { a, b, distance } under the pointer
+  const [picked, setPicked] = useState(null); // { a, b, distance } clicked in the matrix
+  const canvasRef = useRef(null);
+
+  const analysis = useMemo(
+    () => analyseConfusability(font, { maxDistance, ignoreBlank }),
+    [font, maxDistance, ignoreBlank],
+  );
+  const { slots, distances, duplicates, pairs } = analysis;
+  const cell = slots.length > 0 ? MATRIX_SIZE / slots.length : 0;
+
+  // What to call a slot: its mapped character, else its name, else its index
+  const label = (index) =>
+    printableChar(font.codePage.codepoints[index]) ?? font.characters[index]?.name ?? formatIndex(index);
+
+  // Draw the heat map
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const scale = window.devicePixelRatio || 1;
+    canvas.width = MATRIX_SIZE * scale;
+    canvas.height = MATRIX_SIZE * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#111827';
+    ctx.fillRect(0, 0, MATRIX_SIZE, MATRIX_SIZE);
+    distances.forEach((row, i) => {
+      row.forEach((distance, j) => {
+        if (i === j) return;
+        ctx.fillStyle = distanceColor(distance, maxDistance);
+        ctx.fillRect(j * cell, i * cell, Math.ceil(cell), Math.ceil(cell));
+      });
+    });
+  }, [distances, cell, maxDistance]);
+
+  const pairAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const i = Math.floor((e.clientY - rect.top) / cell);
+    const j = Math.floor((e.clientX - rect.left) / cell);
+    if (i === j || i < 0 || j < 0 || i >= slots.length || j >= slots.length) return null;
+    return { a: slots[i], b: slots[j], distance: distances[i][j] };
+  };
+
+  const renderPair = ({ a, b, distance }) => {
+    const mask = font.characters[a].segments ^ font.characters[b].segments;
+    return (
+      <div key={`${a}-${b}`} className="flex items-center gap-3 p-2 bg-gray-900 rounded">
+        {[a, b].map((index) => (
+          <button
+            key={index}
+            onClick={() => onSelectSlot(index)}
+            className="flex flex-col items-center hover:bg-gray-700 rounded p-1"
+            title="Select this slot"
+          >
+            <SegmentDisplay value={font.characters[index].segments} highlight={mask} size={28} interactive={false} />
+            <span className="text-xs font-mono text-gray-400">{formatIndex(index)} {label(index)}</span>
+          </button>
+        ))}
+        <span className="text-sm text-gray-400">
+          {distance} segment{distance === 1 ? '' : 's'} apart
+        </span>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[900px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Legibility Analysis</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          {/* Options */}
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-400">
+            <label className="flex items-center gap-2">
+              Flag pairs within
+              <input
+                type="number"
+                min={1}
+                max={15}
+                value={maxDistance}
+                onChange={(e) => setMaxDistance(Math.min(15, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                className="w-14 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+              />
+              segments
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={ignoreBlank}
+                onChange={(e) => setIgnoreBlank(e.target.checked)}
+              />
+              Ignore blank glyphs
+            </label>
+            <span>
+              {slots.length} glyphs compared: {duplicates.length} duplicate group{duplicates.length === 1 ? '' : 's'}, {pairs.length} close pair{pairs.length === 1 ? '' : 's'}
+            </span>
+          </div>
+
+          <div className="flex gap-4">
+            {/* Heat map */}
+            <div className="flex-shrink-0">
+              <canvas
+                ref={canvasRef}
+                style={{ width: MATRIX_SIZE, height: MATRIX_SIZE }}
+                className="rounded cursor-crosshair"
+                onMouseMove={(e) => setHover(pairAt(e))}
+                onMouseLeave={() => setHover(null)}
+                onClick={(e) => setPicked(pairAt(e))}
+              />
+              <p className="text-xs text-gray-500 mt-1 h-4">
+                {hover
+                  ? `${formatIndex(hover.a)} ${label(hover.a)} vs ${formatIndex(hover.b)} ${label(hover.b)}: ${hover.distance} apart`
+                  : 'Red: identical. Amber: within the limit. Click a cell to compare.'}
+              </p>
+              {picked && <div className="mt-2">{renderPair(picked)}</div>}
+            </div>
+
+            {/* Lists */}
+            <div className="flex-1 min-w-0 space-y-4">
+              <div>
+                <label className="block text-sm text-gray-400 mb-1">Identical glyphs</label>
+                {duplicates.length === 0 ? (
+                  <p className="text-sm text-green-400">None</p>
+                ) : (
+                  <div className="space-y-1">
+                    {duplicates.map((group) => (
+                      <div key={group.join('-')} className="flex flex-wrap items-center gap-2 p-2 bg-gray-900 rounded">
+                        <SegmentDisplay value={font.characters[group[0]].segments} size={28} interactive={false} />
+                        {group.map((index) => (
+                          <button
+                            key={index}
+                            onClick={() => onSelectSlot(index)}
+                            className="px-1.5 py-0.5 bg-red-900/60 hover:bg-red-800 text-red-100 rounded text-xs font-mono"
+                          >
+                            {formatIndex(index)} {label(index)}
+                          </button>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm text-gray-400 mb-1">Close pairs</label>
+                {pairs.length === 0 ? (
+                  <p className="text-sm text-green-400">None</p>
+                ) : (
+                  <div className="max-h-80 overflow-auto space-y-1">
+                    {pairs.map(renderPair)}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
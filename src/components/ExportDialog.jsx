@@ -2,33 +2,60 @@
  * Copyright (c) 2026, Ant Skelton
  * SPDX-License-Identifier: BSD-3-Clause
  */
-import { useState, useMemo } from 'react';
-import Handlebars from 'handlebars';
+import { useState, useMemo, useRef } from 'react';
 import presets from '../presets.json';
+import WiringSettings from './WiringSettings';
+import BinaryExportOptions from './BinaryExportOptions';
+import { templateContext, renderTemplate, safeFileName } from '../lib/exportTemplate';
+import { SYMBOL_TARGETS, lintNames } from '../lib/symbols';
+import { selectTemplate, selectedTemplateId } from '../lib/exportSettings';
+import { parseTemplateFile, templatesToFile } from '../lib/templates';
+import { BINARY_FORMATS, binaryFile, hexDump } from '../lib/binaryExport';
+import { formatIndex } from '../lib/codePages';
 
-// Register Handlebars helpers
-Handlebars.registerHelper('bin', (value) => {
-  const num = value ?? 0;
-  return num.toString(2).padStart(15, '0');
-});
-
-Handlebars.registerHelper('hex', (value) => {
-  const num = value ?? 0;
-  return num.toString(16).toUpperCase().padStart(4, '0');
-});
-
-// Comparison helpers
-Handlebars.registerHelper('lte', (a, b) => a <= b);
-Handlebars.registerHelper('gte', (a, b) => a >= b);
-Handlebars.registerHelper('lt', (a, b) => a < b);
-Handlebars.registerHelper('gt', (a, b) => a > b);
-Handlebars.registerHelper('eq', (a, b) => a === b);
-
-export default function ExportDialog({ font, onClose }) {
-  const [selectedPreset, setSelectedPreset] = useState(presets.presets[0].id);
-  const [customTemplate, setCustomTemplate] = useState('');
-  const [customExtension, setCustomExtension] = useState('txt');
-  const [useCustom, setUseCustom] = useState(false);
+// Which identifier rules names must follow: a preset says where it uses names as
+// symbols; custom templates are guessed from their file extension
+function defaultNameTarget(useCustom, preset, extension) {
+  if (!useCustom) return preset?.identifiers || 'none';
+  if (['asm', 's', 'z80', 'inc'].includes(extension.toLowerCase())) return 'z80';
+  if (['h', 'c'].includes(extension.toLowerCase())) return 'c';
+  return 'none';
+}
+
+export default function ExportDialog({
+  font,
+  settings,
+  selection,
+  onSettingsChange,
+  onWiringChange,
+  onFixNames,
+  onSelectSlot,
+  templates,
+  onSaveTemplate,
+  onDeleteTemplate,
+  onImportTemplates,
+  onExported,
+  onClose,
+}) {
+  const { selectedPreset, customTemplate, customExtension, customTemplateId, useCustom, format } = settings;
+  const binaryOptions = settings.binary;
+  const binaryFormat = BINARY_FORMATS.find((f) => f.id === format);
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+  const [nameTargetOverride, setNameTargetOverride] = useState(null);
+  const templateFileRef = useRef(null);
+
+  // The saved user template being edited, if any
+  const linkedTemplate = useCustom ? templates.find((t) => t.id === customTemplateId) : null;
+  const [templateName, setTemplateName] = useState(linkedTemplate?.name ?? '');
+  const templateModified = linkedTemplate &&
+    (linkedTemplate.template !== customTemplate || linkedTemplate.extension !== customExtension);
+
+  const nameTarget = nameTargetOverride ?? defaultNameTarget(
+    useCustom,
+    presets.presets.find((p) => p.id === selectedPreset),
+    customExtension,
+  );
+  const nameProblems = useMemo(() => lintNames(font, nameTarget), [font, nameTarget]);
 
   // Get the current template
   const template = useMemo(() => {
@@ -40,71 +67,94 @@ export default function ExportDialog({ font, onClose }) {
   }, [useCustom, customTemplate, selectedPreset]);
 
   // Prepare context for Handlebars
-  const context = useMemo(() => {
-    const safeName = font.name.replace(/[^a-z0-9]/gi, '_');
-
-    // Find last defined index and count
-    let lastDefinedIndex = -1;
-    let definedCount = 0;
-    font.characters.forEach((char, index) => {
-      if (char !== null) {
-        lastDefinedIndex = index;
-        definedCount++;
-      }
-    });
-
-    return {
-      name: font.name,
-      nameUpper: safeName.toUpperCase(),
-      nameLower: safeName.toLowerCase(),
-      lastDefinedIndex,
-      definedCount,
-      characters: font.characters.map((char, index) => ({
-        index,
-        defined: char !== null,
-        segments: char?.segments ?? 0,
-        name: char?.name || `CHAR_${index.toString(16).toUpperCase().padStart(2, '0')}`,
-      })),
-    };
-  }, [font]);
+  const context = useMemo(() => templateContext(font), [font]);
 
   // Compile and render template
-  const { output, error } = useMemo(() => {
-    try {
-      const compiled = Handlebars.compile(template);
-      return { output: compiled(context), error: null };
-    } catch (e) {
-      return { output: '', error: e.message };
-    }
-  }, [template, context]);
+  const { output, error } = useMemo(() => renderTemplate(template, context), [template, context]);
+
+  // Binary formats: the bytes, the file text for record formats and a preview
+  const binary = useMemo(() => {
+    if (!binaryFormat) return null;
+    const file = binaryFile(font, binaryFormat.id, binaryOptions, selection);
+    return { ...file, preview: file.text ?? hexDump(file.bytes, binaryOptions.address) };
+  }, [binaryFormat, binaryOptions, font, selection]);
 
   const handleExport = () => {
-    // Get file extension from preset or custom input
+    // Get file extension from the binary format, preset or custom input
     const preset = presets.presets.find((p) => p.id === selectedPreset);
-    const ext = useCustom ? customExtension : (preset?.extension || 'txt');
-    const blob = new Blob([output], { type: 'text/plain' });
+    const ext = binaryFormat ? binaryFormat.extension : useCustom ? customExtension : (preset?.extension || 'txt');
+    const blob = binaryFormat
+      ? new Blob([binary.text ?? binary.bytes], { type: binary.text ? 'text/plain' : 'application/octet-stream' })
+      : new Blob([output], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${font.name.replace(/[^a-z0-9]/gi, '_')}.${ext}`;
+    a.download = `${safeFileName(font.name)}.${ext}`;
     a.click();
     URL.revokeObjectURL(url);
+    onExported(selectedTemplateId(settings));
     onClose();
   };
 
   const handlePresetChange = (e) => {
     const presetId = e.target.value;
+    setNameTargetOverride(null);
     if (presetId === 'custom') {
-      setUseCustom(true);
-      // Initialize custom template with current preset template
+      // Start a new custom template from the current one
       const currentPreset = presets.presets.find((p) => p.id === selectedPreset);
-      setCustomTemplate(currentPreset?.template || '');
+      update({
+        useCustom: true,
+        customTemplateId: null,
+        customTemplate: useCustom ? customTemplate : currentPreset?.template || '',
+      });
+      setTemplateName('');
     } else {
-      setUseCustom(false);
-      setSelectedPreset(presetId);
+      onSettingsChange(selectTemplate(settings, presetId, templates));
+      setTemplateName(templates.find((t) => t.id === presetId)?.name ?? '');
     }
   };
 
+  // Save the custom template, updating the linked one unless asNew is set
+  const handleSaveTemplate = (asNew) => {
+    const id = onSaveTemplate({
+      name: templateName.trim(),
+      description: linkedTemplate && !asNew ? linkedTemplate.description : '',
+      extension: customExtension || 'txt',
+      template: customTemplate,
+    }, asNew ? null : customTemplateId);
+    if (id) update({ customTemplateId: id });
+  };
+
+  const handleDeleteTemplate = () => {
+    if (!confirm(`Delete the template "${linkedTemplate.name}"?`)) return;
+    if (onDeleteTemplate(linkedTemplate.id)) update({ customTemplateId: null });
+  };
+
+  const handleTemplateFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        onImportTemplates(parseTemplateFile(event.target.result));
+      } catch (err) {
+        alert('Failed to read templates: ' + err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleExportTemplates = () => {
+    const blob = new Blob([templatesToFile(templates)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'templates.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
       <div className="bg-gray-800 rounded-lg shadow-xl w-[800px] max-h-[90vh] flex flex-col">
@@ -121,69 +171,235 @@ export default function ExportDialog({ font, onClose }) {
 
         {/* Content */}
         <div className="flex-1 overflow-auto p-4 space-y-4">
-          {/* Preset selector */}
+          {/* Output format */}
           <div>
-            <label className="block text-sm text-gray-400 mb-1">Template</label>
+            <label className="block text-sm text-gray-400 mb-1">Format</label>
             <select
-              value={useCustom ? 'custom' : selectedPreset}
-              onChange={handlePresetChange}
+              value={format}
+              onChange={(e) => update({ format: e.target.value })}
               className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
             >
-              {presets.presets.map((preset) => (
-                <option key={preset.id} value={preset.id}>
-                  {preset.name} - {preset.description}
-                </option>
+              <option value="text">Text from a template</option>
+              {BINARY_FORMATS.map((f) => (
+                <option key={f.id} value={f.id}>{f.name} (.{f.extension})</option>
               ))}
-              <option value="custom">Custom template...</option>
             </select>
           </div>
 
-          {/* Template editor (shown for custom or for viewing) */}
-          <div>
-            <label className="block text-sm text-gray-400 mb-1">
-              Template {useCustom ? '(editing)' : '(read-only)'}
-            </label>
-            <textarea
-              value={template}
-              onChange={(e) => useCustom && setCustomTemplate(e.target.value)}
-              readOnly={!useCustom}
-              className={`w-full h-24 px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white font-mono text-sm ${
-                !useCustom ? 'opacity-60' : ''
-              }`}
-              placeholder="Enter Handlebars template..."
+          <WiringSettings wiring={font.wiring} onChange={onWiringChange} />
+
+          {binaryFormat ? (
+            <BinaryExportOptions
+              font={font}
+              selection={selection}
+              options={binaryOptions}
+              byteCount={binary.bytes.length}
+              onChange={(changes) => update({ binary: { ...binaryOptions, ...changes } })}
             />
-            <p className="text-xs text-gray-500 mt-1">
-              Variables: {'{{name}}'}, {'{{lastDefinedIndex}}'}, {'{{definedCount}}'}, {'{{#each characters}}'}, {'{{index}}'}, {'{{defined}}'}, {'{{segments}}'}, {'{{/each}}'}
-            </p>
-            <p className="text-xs text-gray-500">
-              Helpers: {'{{bin segments}}'}, {'{{hex segments}}'}, {'{{#if (lte index ../lastDefinedIndex)}}'}
-            </p>
-            {useCustom && (
-              <div className="mt-2 flex items-center gap-2">
-                <label className="text-sm text-gray-400">File extension:</label>
-                <input
-                  type="text"
-                  value={customExtension}
-                  onChange={(e) => setCustomExtension(e.target.value.replace(/^\./, ''))}
-                  className="w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
-                  placeholder="txt"
-                />
+          ) : (
+            <>
+            {/* Preset selector */}
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="text-sm text-gray-400">Template</label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => templateFileRef.current?.click()}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                  >
+                    Import templates...
+                  </button>
+                  <input
+                    ref={templateFileRef}
+                    type="file"
+                    accept=".json"
+                    onChange={handleTemplateFile}
+                    className="hidden"
+                  />
+                  <button
+                    onClick={handleExportTemplates}
+                    disabled={templates.length === 0}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded text-xs"
+                  >
+                    Export my templates
+                  </button>
+                </div>
+              </div>
+              <select
+                value={useCustom ? (linkedTemplate?.id ?? 'custom') : selectedPreset}
+                onChange={handlePresetChange}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
+              >
+                <optgroup label="Built-in">
+                  {presets.presets.map((preset) => (
+                    <option key={preset.id} value={preset.id}>
+                      {preset.name} - {preset.description}
+                    </option>
+                  ))}
+                </optgroup>
+                {templates.length > 0 && (
+                  <optgroup label="My templates">
+                    {templates.map((t) => (
+                      <option key={t.id} value={t.id}>
+                        {t.name}{t.description && ` - ${t.description}`}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+                <option value="custom">Custom template...</option>
+              </select>
+              {useCustom && (
+                <div className="mt-2 flex items-center gap-2">
+                  <label className="text-sm text-gray-400">Name:</label>
+                  <input
+                    type="text"
+                    value={templateName}
+                    onChange={(e) => setTemplateName(e.target.value)}
+                    placeholder="Name to save this template as"
+                    className="flex-1 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                  />
+                  {templateModified && <span className="text-xs text-yellow-400">Modified</span>}
+                  <button
+                    onClick={() => handleSaveTemplate(false)}
+                    disabled={!templateName.trim() ||
+                      (linkedTemplate && !templateModified && templateName.trim() === linkedTemplate.name)}
+                    className="px-2 py-1 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded text-sm"
+                  >
+                    Save
+                  </button>
+                  {linkedTemplate && (
+                    <>
+                      <button
+                        onClick={() => handleSaveTemplate(true)}
+                        disabled={!templateName.trim()}
+                        className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded text-sm"
+                      >
+                        Save as new
+                      </button>
+                      <button
+                        onClick={handleDeleteTemplate}
+                        className="px-2 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm"
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Template editor (shown for custom or for viewing) */}
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">
+                Template {useCustom ? '(editing)' : '(read-only)'}
+              </label>
+              <textarea
+                value={template}
+                onChange={(e) => useCustom && update({ customTemplate: e.target.value })}
+                readOnly={!useCustom}
+                className={`w-full h-24 px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white font-mono text-sm ${
+                  !useCustom ? 'opacity-60' : ''
+                }`}
+                placeholder="Enter Handlebars template..."
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Variables: {'{{name}}'}, {'{{lastDefinedIndex}}'}, {'{{definedCount}}'}, {'{{wiring}}'}, {'{{#each characters}}'}, {'{{index}}'}, {'{{defined}}'}, {'{{segments}}'}, {'{{logicalSegments}}'}, {'{{codepoint}}'}, {'{{char}}'}, {'{{/each}}'}
+              </p>
+              <p className="text-xs text-gray-500">
+                Lookup: {'{{lookupCount}}'}, {'{{#each lookup}}'}, {'{{codepoint}}'}, {'{{index}}'}, {'{{name}}'}, {'{{char}}'}, {'{{/each}}'}
+              </p>
+              <p className="text-xs text-gray-500">
+                Helpers: {'{{bin segments}}'}, {'{{hex segments}}'}, {'{{#if (lte index ../lastDefinedIndex)}}'}
+              </p>
+              {useCustom && (
+                <div className="mt-2 flex items-center gap-2">
+                  <label className="text-sm text-gray-400">File extension:</label>
+                  <input
+                    type="text"
+                    value={customExtension}
+                    onChange={(e) => update({ customExtension: e.target.value.replace(/^\./, '') })}
+                    className="w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+                    placeholder="txt"
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* Error display */}
+            {error && (
+              <div className="p-3 bg-red-900/50 border border-red-700 rounded text-red-300 text-sm">
+                Template error: {error}
               </div>
             )}
-          </div>
 
-          {/* Error display */}
-          {error && (
-            <div className="p-3 bg-red-900/50 border border-red-700 rounded text-red-300 text-sm">
-              Template error: {error}
+            {/* Name check */}
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="flex items-center gap-2 text-sm text-gray-400">
+                  Check names as:
+                  <select
+                    value={nameTarget}
+                    onChange={(e) => setNameTargetOverride(e.target.value)}
+                    className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+                  >
+                    <option value="none">Not checked</option>
+                    {Object.values(SYMBOL_TARGETS).map((target) => (
+                      <option key={target.id} value={target.id}>{target.name}</option>
+                    ))}
+                  </select>
+                  {nameTarget !== 'none' && (
+                    <span className={nameProblems.length > 0 ? 'text-yellow-400' : 'text-green-400'}>
+                      {nameProblems.length > 0
+                        ? `${nameProblems.length} problem${nameProblems.length === 1 ? '' : 's'}`
+                        : 'All names OK'}
+                    </span>
+                  )}
+                </label>
+                {nameProblems.length > 0 && (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => onFixNames(nameTarget, 'sanitise')}
+                      className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                      title="Repair names, adding the slot index only where they still collide"
+                    >
+                      Fix: sanitise
+                    </button>
+                    <button
+                      onClick={() => onFixNames(nameTarget, 'suffix')}
+                      className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                      title="Repair names and add the slot index to each one"
+                    >
+                      Fix: suffix with index
+                    </button>
+                  </div>
+                )}
+              </div>
+              {nameProblems.length > 0 && (
+                <ul className="max-h-32 overflow-auto bg-gray-900 border border-yellow-700 rounded p-2 text-sm space-y-0.5">
+                  {nameProblems.map((problem, i) => (
+                    <li key={i} className="flex gap-2">
+                      <button
+                        onClick={() => onSelectSlot(problem.index)}
+                        className="font-mono text-blue-400 hover:underline"
+                        title="Select this slot"
+                      >
+                        {formatIndex(problem.index)}
+                      </button>
+                      <span className="font-mono text-yellow-300">{problem.name}</span>
+                      <span className="text-gray-400">{problem.message}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
+            </>
           )}
 
           {/* Preview */}
           <div>
             <label className="block text-sm text-gray-400 mb-1">Preview</label>
             <pre className="w-full h-48 px-3 py-2 bg-gray-900 border border-gray-600 rounded text-green-400 font-mono text-sm overflow-auto whitespace-pre">
-              {output || '(no output)'}
+              {(binaryFormat ? binary.preview : output) || '(no output)'}
             </pre>
           </div>
         </div>
@@ -198,7 +414,7 @@ export default function ExportDialog({ font, onClose }) {
           </button>
           <button
             onClick={handleExport}
-            disabled={!!error || !output}
+            disabled={binaryFormat ? binary.bytes.length === 0 : !!error || !output}
             className="px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded"
           >
             Export
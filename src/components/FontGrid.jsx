@@ -4,16 +4,24 @@
  */
 import React, { useState, useRef } from 'react';
 import SegmentDisplay from './SegmentDisplay';
+import { formatCodepoint, printableChar } from '../lib/codePages';
 
 export default function FontGrid({
+  docId,
   font,
   selection,
   onSelect,
   onReorder,
   onCopy,
+  onDropCharacters,
   onKeyDown,
+  matches = null,
+  hideUnmatched = false,
 }) {
   const [dragIndex, setDragIndex] = useState(null);
+  // The grid stays mounted across tab switches, so a drag can end in another font.
+  // dragSource remembers which font it started in and what it carries
+  const [dragSource, setDragSource] = useState(null); // { docId, characters: Array<{offset, char}> }
   const [dropIndex, setDropIndex] = useState(null);
   const [isCopying, setIsCopying] = useState(false);
   const gridRef = useRef(null);
@@ -24,19 +32,31 @@ export default function FontGrid({
       return;
     }
     // If dragging from outside the selection, treat as single-item drag
+    const indices = selection.selected.has(index)
+      ? Array.from(selection.selected).sort((a, b) => a - b)
+      : [index];
     if (!selection.selected.has(index)) {
       onSelect(index);
     }
     setDragIndex(index);
+    setDragSource({
+      docId,
+      characters: indices
+        .map((idx) => ({ offset: idx - index, char: font.characters[idx] }))
+        .filter((item) => item.char !== null),
+    });
     setIsCopying(e.ctrlKey || e.metaKey);
-    e.dataTransfer.effectAllowed = e.ctrlKey || e.metaKey ? 'copy' : 'move';
+    e.dataTransfer.effectAllowed = 'copyMove';
   };
 
+  // Dropping into a different font always copies
+  const isForeignDrag = dragSource !== null && dragSource.docId !== docId;
+
   const handleDragOver = (e, index) => {
     e.preventDefault();
-    if (dragIndex !== null && index !== dragIndex) {
+    if (dragIndex !== null && (index !== dragIndex || isForeignDrag)) {
       setDropIndex(index);
-      e.dataTransfer.dropEffect = isCopying ? 'copy' : 'move';
+      e.dataTransfer.dropEffect = isCopying || isForeignDrag ? 'copy' : 'move';
     }
   };
 
@@ -46,7 +66,9 @@ export default function FontGrid({
 
   const handleDrop = (e, index) => {
     e.preventDefault();
-    if (dragIndex !== null && dragIndex !== index) {
+    if (isForeignDrag) {
+      onDropCharacters({ sourceId: dragSource.docId, characters: dragSource.characters }, index);
+    } else if (dragIndex !== null && dragIndex !== index) {
       if (isCopying || e.ctrlKey || e.metaKey) {
         onCopy(dragIndex, index);
       } else {
@@ -54,12 +76,14 @@ export default function FontGrid({
       }
     }
     setDragIndex(null);
+    setDragSource(null);
     setDropIndex(null);
     setIsCopying(false);
   };
 
   const handleDragEnd = () => {
     setDragIndex(null);
+    setDragSource(null);
     setDropIndex(null);
     setIsCopying(false);
   };
@@ -131,8 +155,14 @@ export default function FontGrid({
               const isDefined = char !== null;
               const isSelected = selection.selected.has(index);
               const isAnchor = index === selection.anchor;
-              const isDragging = index === dragIndex;
+              const isDragging = index === dragIndex && !isForeignDrag;
               const isDropTarget = index === dropIndex;
+              // Search results: matches are tinted, or the rest hidden when filtering
+              const isMatch = matches?.has(index) ?? false;
+              const isHidden = matches !== null && hideUnmatched && !isMatch;
+              const codepoint = font.codePage.codepoints[index];
+              const mapped = printableChar(codepoint);
+              const label = char?.name || `Index ${index} (0x${index.toString(16).toUpperCase().padStart(2, '0')})`;
 
               return (
                 <div
@@ -151,9 +181,11 @@ export default function FontGrid({
                     ${isDragging ? 'opacity-50' : ''}
                     ${isDropTarget ? 'ring-2 ring-green-500' : ''}
                     ${!isDefined ? 'opacity-30' : ''}
+                    ${isMatch && !hideUnmatched ? 'bg-amber-500/40' : ''}
+                    ${isHidden ? 'invisible' : ''}
                     hover:outline hover:outline-2 hover:outline-gray-400
                   `}
-                  title={char?.name || `Index ${index} (0x${index.toString(16).toUpperCase().padStart(2, '0')})`}
+                  title={codepoint !== null ? `${label} ${formatCodepoint(codepoint)}` : label}
                 >
                   <div className="pointer-events-none">
                     <SegmentDisplay
@@ -161,6 +193,11 @@ export default function FontGrid({
                       size={32}
                       interactive={false}
                     />
+                    {mapped && (
+                      <div className="absolute top-0 left-0.5 text-[10px] leading-none text-cyan-300">
+                        {mapped}
+                      </div>
+                    )}
                     {isDefined && char.name && (
                       <div className="absolute -bottom-4 left-0 right-0 text-center text-xs text-yellow-300 truncate px-0.5">
                         {char.name}
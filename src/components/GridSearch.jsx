@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { SEARCH_MODES, SEARCH_PREDICATES, DEFAULT_SEARCH } from '../lib/gridSearch';
+
+const PLACEHOLDERS = {
+  name: 'e.g. DIGIT',
+  regex: 'e.g. ^LETTER_[A-F]$',
+  index: 'e.g. 0x41 or 0x30-0x39',
+  word: 'e.g. 0x4000',
+};
+
+export default function GridSearch({ search, matchCount, error, onChange, onSelectMatches }) {
+  const update = (changes) => onChange({ ...search, ...changes });
+  const active = matchCount !== null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+      <select
+        value={search.mode}
+        onChange={(e) => update({ mode: e.target.value })}
+        className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+      >
+        {SEARCH_MODES.map((m) => (
+          <option key={m.id} value={m.id}>{m.name}</option>
+        ))}
+      </select>
+      {search.mode === 'predicate' ? (
+        <select
+          value={search.predicate}
+          onChange={(e) => update({ predicate: e.target.value })}
+          className="flex-1 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+        >
+          {SEARCH_PREDICATES.map((p) => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          type="text"
+          value={search.text}
+          onChange={(e) => update({ text: e.target.value })}
+          onKeyDown={(e) => e.key === 'Escape' && onChange({ ...DEFAULT_SEARCH, display: search.display })}
+          placeholder={PLACEHOLDERS[search.mode]}
+          className={`flex-1 min-w-32 px-2 py-1 bg-gray-700 border rounded text-white placeholder-gray-500 ${
+            error ? 'border-red-500' : 'border-gray-600'
+          }`}
+          title={error ?? 'Escape clears the search'}
+        />
+      )}
+      <label className="flex items-center gap-1 text-gray-400">
+        <input
+          type="checkbox"
+          checked={search.display === 'filter'}
+          onChange={(e) => update({ display: e.target.checked ? 'filter' : 'highlight' })}
+        />
+        Hide others
+      </label>
+      {active && (
+        <>
+          <span className="text-gray-400">{matchCount} match{matchCount === 1 ? '' : 'es'}</span>
+          <button
+            onClick={onSelectMatches}
+            disabled={matchCount === 0}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded text-xs"
+          >
+            Select all matches
+          </button>
+          <button
+            onClick={() => onChange({ ...DEFAULT_SEARCH, display: search.display })}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+          >
+            Clear
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
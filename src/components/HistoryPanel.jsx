@@ -0,0 +1,63 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+export default function HistoryPanel({
+  history,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo,
+  onJump,
+}) {
+  return (
+    <div className="flex flex-col gap-2 p-4 bg-gray-800 rounded-lg max-h-[calc(100vh-120px)]">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-white">History</h2>
+        <div className="flex gap-1">
+          <button
+            onClick={onUndo}
+            disabled={!canUndo}
+            title="Undo (Ctrl+Z)"
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white rounded text-sm"
+          >
+            Undo
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={!canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white rounded text-sm"
+          >
+            Redo
+          </button>
+        </div>
+      </div>
+
+      {/* Newest entry first; entries after the current one can be redone */}
+      <ol className="flex flex-col gap-0.5 overflow-auto">
+        {history.entries.map((entry, index) => ({ entry, index })).reverse().map(({ entry, index }) => {
+          const isCurrent = index === history.index;
+          const isFuture = index > history.index;
+          return (
+            <li key={index}>
+              <button
+                onClick={() => onJump(index)}
+                className={`w-full text-left px-2 py-1 rounded text-sm truncate ${
+                  isCurrent
+                    ? 'bg-blue-600 text-white'
+                    : isFuture
+                      ? 'text-gray-500 hover:bg-gray-700'
+                      : 'text-gray-300 hover:bg-gray-700'
+                }`}
+              >
+                {entry.label}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
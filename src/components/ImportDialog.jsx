@@ -0,0 +1,161 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useMemo } from 'react';
+import SegmentDisplay from './SegmentDisplay';
+import { parseFontSource, parseLiteral } from '../lib/sourceImport';
+import { removeWiring } from '../lib/wiring';
+import { formatIndex } from '../lib/codePages';
+
+const formatHex = (value) => '#' + value.toString(16).toUpperCase().padStart(4, '0');
+
+export default function ImportDialog({ fileName, text, font, onImport, onClose }) {
+  const parsed = useMemo(() => parseFontSource(text), [text]);
+  const [startInput, setStartInput] = useState(() => String(parsed.startSlot));
+  const [skipEmpty, setSkipEmpty] = useState(true);
+
+  const startSlot = parseLiteral(startInput);
+  const startValid = !isNaN(startSlot) && startSlot >= 0 && startSlot < 256;
+
+  // Work out where each recognised glyph lands. Source values are hardware
+  // words, so they are decoded through the font's wiring profile
+  const placements = useMemo(() => {
+    if (!startValid) return [];
+    return parsed.glyphs.map((glyph, i) => {
+      const segments = removeWiring(glyph.segments, font.wiring);
+      return {
+        ...glyph,
+        word: glyph.segments,
+        segments,
+        index: startSlot + i,
+        empty: segments === 0 && !glyph.name,
+      };
+    });
+  }, [parsed, startSlot, startValid, font.wiring]);
+
+  const overflow = placements.filter((p) => p.index > 255).length;
+  const imported = placements.filter((p) => p.index <= 255 && !(skipEmpty && p.empty));
+  const overwrites = imported.filter((p) => font.characters[p.index] !== null).length;
+
+  const handleImport = () => {
+    onImport(imported.map((p) => ({
+      index: p.index,
+      char: { segments: p.segments, name: p.name },
+    })));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[800px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Import {fileName}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          <div className="flex items-center gap-4">
+            <div className="flex items-center gap-2">
+              <label className="text-sm text-gray-400">Starting slot:</label>
+              <input
+                type="text"
+                value={startInput}
+                onChange={(e) => setStartInput(e.target.value)}
+                className={`w-20 px-2 py-1 bg-gray-700 border rounded text-white text-sm font-mono ${
+                  startValid ? 'border-gray-600' : 'border-red-500'
+                }`}
+                placeholder="0"
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-400">
+              <input
+                type="checkbox"
+                checked={skipEmpty}
+                onChange={(e) => setSkipEmpty(e.target.checked)}
+              />
+              Leave slots with empty, unnamed values untouched
+            </label>
+          </div>
+
+          <p className="text-sm text-gray-400">
+            Recognised {parsed.glyphs.length} values, importing {imported.length}
+            {overwrites > 0 && <span className="text-yellow-400"> ({overwrites} will overwrite existing characters)</span>}
+            {overflow > 0 && <span className="text-red-400"> ({overflow} past slot 255 will be dropped)</span>}
+          </p>
+          <p className="text-xs text-gray-500">
+            Values are decoded with the font's wiring profile: {font.wiring.name}
+          </p>
+
+          {/* Recognised values */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Recognised</label>
+            <div className="h-56 overflow-auto bg-gray-900 border border-gray-600 rounded">
+              <table className="w-full text-sm font-mono">
+                <tbody>
+                  {placements.map((p, i) => {
+                    const skipped = p.index > 255 || (skipEmpty && p.empty);
+                    return (
+                      <tr key={i} className={skipped ? 'opacity-40' : ''}>
+                        <td className="px-2 text-gray-400">{p.index <= 255 ? formatIndex(p.index) : '--'}</td>
+                        <td className="px-2 py-0.5">
+                          <SegmentDisplay value={p.segments} size={16} interactive={false} />
+                        </td>
+                        <td className="px-2 text-green-400">{formatHex(p.word)}</td>
+                        <td className="px-2 text-yellow-300">{p.name || ''}</td>
+                        <td className="px-2 text-gray-500 text-right">line {p.line}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Skipped lines */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">
+              Skipped lines ({parsed.skipped.length})
+            </label>
+            <div className="h-32 overflow-auto bg-gray-900 border border-gray-600 rounded">
+              <table className="w-full text-sm font-mono">
+                <tbody>
+                  {parsed.skipped.map((s) => (
+                    <tr key={s.line}>
+                      <td className="px-2 text-gray-500 whitespace-nowrap align-top">{s.line}</td>
+                      <td className="px-2 text-gray-400 whitespace-pre">{s.text}</td>
+                      <td className="px-2 text-red-400 whitespace-nowrap text-right">{s.reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!startValid || imported.length === 0}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState } from 'react';
+
+export default function LibraryDialog({
+  entries,
+  fontName,
+  libraryId,
+  openIds,
+  onSaveCurrent,
+  onOpen,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onClose,
+}) {
+  const [renaming, setRenaming] = useState(null); // { id, name }
+
+  const handleRenameCommit = () => {
+    if (renaming && renaming.name.trim()) {
+      onRename(renaming.id, renaming.name.trim());
+    }
+    setRenaming(null);
+  };
+
+  const handleDelete = (entry) => {
+    if (confirm(`Delete "${entry.name}" from the library?`)) {
+      onDelete(entry.id);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[700px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Font Library</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-400">
+              Fonts are stored in this browser.
+            </p>
+            <button
+              onClick={onSaveCurrent}
+              className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm"
+            >
+              {libraryId ? `Update "${fontName}"` : `Save "${fontName}" to library`}
+            </button>
+          </div>
+
+          {entries.length === 0 ? (
+            <p className="text-sm text-gray-500">The library is empty.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 font-normal">Name</th>
+                  <th className="py-1 font-normal">Characters</th>
+                  <th className="py-1 font-normal">Last modified</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <tr key={entry.id} className="border-t border-gray-700">
+                    <td className="py-1.5 pr-2">
+                      {renaming?.id === entry.id ? (
+                        <input
+                          type="text"
+                          value={renaming.name}
+                          autoFocus
+                          onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                          onBlur={handleRenameCommit}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') handleRenameCommit();
+                            if (e.key === 'Escape') setRenaming(null);
+                          }}
+                          className="w-full px-2 py-0.5 bg-gray-700 border border-gray-600 rounded text-white"
+                        />
+                      ) : (
+                        <span
+                          onDoubleClick={() => setRenaming({ id: entry.id, name: entry.name })}
+                          className="text-white"
+                          title="Double-click to rename"
+                        >
+                          {entry.name}
+                          {openIds.includes(entry.id) && <span className="ml-2 text-xs text-blue-400">open</span>}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-1.5 text-gray-400">
+                      {entry.font.characters.filter((char) => char !== null).length}
+                    </td>
+                    <td className="py-1.5 text-gray-400">
+                      {new Date(entry.modifiedAt).toLocaleString()}
+                    </td>
+                    <td className="py-1.5">
+                      <div className="flex justify-end gap-1">
+                        <button
+                          onClick={() => onOpen(entry)}
+                          className="px-2 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-xs"
+                        >
+                          Open
+                        </button>
+                        <button
+                          onClick={() => setRenaming({ id: entry.id, name: entry.name })}
+                          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                        >
+                          Rename
+                        </button>
+                        <button
+                          onClick={() => onDuplicate(entry.id)}
+                          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                        >
+                          Duplicate
+                        </button>
+                        <button
+                          onClick={() => handleDelete(entry)}
+                          className="px-2 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-xs"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useEffect, useMemo } from 'react';
+import SegmentDisplay from './SegmentDisplay';
+import { MICROBEAST_DIGITS, messageToCells, displayFrame } from '../lib/message';
+
+const MIN_BRIGHTNESS = 0.2;
+
+export default function MessagePreview({ font }) {
+  const [message, setMessage] = useState('HELLO MICROBEAST');
+  const [digits, setDigits] = useState(MICROBEAST_DIGITS);
+  const [scroll, setScroll] = useState('off'); // 'off' | 'left' | 'right'
+  const [scrollSpeed, setScrollSpeed] = useState(250); // ms per step
+  const [blink, setBlink] = useState(false);
+  const [blinkRate, setBlinkRate] = useState(500); // ms per phase
+  const [brightness, setBrightness] = useState(() => Array(MICROBEAST_DIGITS).fill(1));
+  const [offset, setOffset] = useState(0);
+  const [blinkOff, setBlinkOff] = useState(false);
+
+  const cells = useMemo(() => messageToCells(message, font), [message, font]);
+  const missing = cells.filter((cell) => !cell.defined).length;
+
+  // Marquee timer
+  useEffect(() => {
+    if (scroll === 'off') return;
+    const step = scroll === 'left' ? 1 : -1;
+    const timer = setInterval(() => setOffset((prev) => prev + step), scrollSpeed);
+    return () => clearInterval(timer);
+  }, [scroll, scrollSpeed]);
+
+  // Blink timer
+  useEffect(() => {
+    if (!blink) return;
+    const timer = setInterval(() => setBlinkOff((prev) => !prev), blinkRate);
+    return () => clearInterval(timer);
+  }, [blink, blinkRate]);
+
+  const frame = displayFrame(cells, digits, scroll === 'off' ? 0 : offset);
+  const blanked = blink && blinkOff;
+
+  const handleScrollChange = (value) => {
+    setScroll(value);
+    setOffset(0);
+  };
+
+  const handleBlinkChange = (checked) => {
+    setBlink(checked);
+    setBlinkOff(false);
+  };
+
+  const handleDigitsChange = (value) => {
+    const count = parseInt(value, 10);
+    if (isNaN(count) || count < 1 || count > 64) return;
+    setDigits(count);
+    setBrightness((prev) => Array.from({ length: count }, (_, i) => prev[i] ?? 1));
+  };
+
+  const handleBrightnessChange = (index, value) => {
+    setBrightness((prev) => prev.map((b, i) => (i === index ? value : b)));
+  };
+
+  return (
+    <div className="flex flex-col gap-3 p-4 bg-gray-800 rounded-lg">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-white">Message Preview</h2>
+        {missing > 0 && (
+          <p className="text-sm text-red-400">
+            {missing} character{missing === 1 ? '' : 's'} not defined in this font
+          </p>
+        )}
+      </div>
+
+      {/* Message input; undefined characters are highlighted behind the text */}
+      <div className="relative font-mono text-sm">
+        <div
+          aria-hidden="true"
+          className="absolute inset-0 px-3 py-2 border border-transparent whitespace-pre overflow-hidden text-transparent pointer-events-none"
+        >
+          {cells.map((cell, i) => (
+            <span key={i} className={cell.defined ? '' : 'bg-red-600/60 rounded-sm'}>
+              {cell.ch}
+            </span>
+          ))}
+        </div>
+        <input
+          type="text"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          spellCheck={false}
+          className="relative w-full px-3 py-2 bg-transparent border border-gray-600 rounded text-white placeholder-gray-500"
+          placeholder="Type a message..."
+        />
+      </div>
+
+      {/* Display */}
+      <div className="overflow-x-auto">
+        <div className="flex gap-1 w-max p-2 bg-black rounded">
+          {frame.map((segments, i) => (
+            <div key={i} className="flex flex-col items-center gap-1">
+              <SegmentDisplay
+                value={blanked ? 0 : segments}
+                size={28}
+                interactive={false}
+                brightness={brightness[i]}
+              />
+              <input
+                type="range"
+                min={MIN_BRIGHTNESS}
+                max={1}
+                step={0.05}
+                value={brightness[i]}
+                onChange={(e) => handleBrightnessChange(i, parseFloat(e.target.value))}
+                title={`Digit ${i + 1} brightness`}
+                className="w-8 h-1 accent-red-500"
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Controls */}
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-400">
+        <label className="flex items-center gap-2">
+          Digits:
+          <input
+            type="number"
+            min={1}
+            max={64}
+            value={digits}
+            onChange={(e) => handleDigitsChange(e.target.value)}
+            className="w-16 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Scroll:
+          <select
+            value={scroll}
+            onChange={(e) => handleScrollChange(e.target.value)}
+            className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+          >
+            <option value="off">Off</option>
+            <option value="left">Left</option>
+            <option value="right">Right</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Step (ms):
+          <input
+            type="number"
+            min={50}
+            step={50}
+            value={scrollSpeed}
+            onChange={(e) => setScrollSpeed(Math.max(50, parseInt(e.target.value, 10) || 50))}
+            className="w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={blink}
+            onChange={(e) => handleBlinkChange(e.target.checked)}
+          />
+          Blink
+        </label>
+        <label className="flex items-center gap-2">
+          Rate (ms):
+          <input
+            type="number"
+            min={100}
+            step={50}
+            value={blinkRate}
+            onChange={(e) => setBlinkRate(Math.max(100, parseInt(e.target.value, 10) || 100))}
+            className="w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+          />
+        </label>
+        <button
+          onClick={() => setBrightness((prev) => prev.map(() => 1))}
+          className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded"
+        >
+          Reset brightness
+        </button>
+      </div>
+    </div>
+  );
+}
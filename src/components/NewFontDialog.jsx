@@ -0,0 +1,111 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState } from 'react';
+import SegmentDisplay from './SegmentDisplay';
+import { STARTER_FONTS, PLACEMENT_MODES, starterPlacements } from '../lib/starters';
+
+const PREVIEW_GLYPHS = 16;
+
+export default function NewFontDialog({ selection, onCreate, onInsert, onClose }) {
+  const [mode, setMode] = useState('order');
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[800px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">New Font</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-2">
+          <div className="flex items-center justify-between gap-4 p-3 bg-gray-900 rounded">
+            <div>
+              <div className="text-white font-medium">Blank</div>
+              <div className="text-sm text-gray-400">An empty grid with only slot 0x00 defined</div>
+            </div>
+            <button
+              onClick={() => onCreate(null)}
+              className="px-3 py-1.5 bg-blue-600 hover:bg-blue-500 text-white rounded text-sm"
+            >
+              Create
+            </button>
+          </div>
+
+          <div className="flex items-center gap-2 text-sm text-gray-400">
+            <label htmlFor="starter-placement">Insert into selection places glyphs</label>
+            <select
+              id="starter-placement"
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+            >
+              {PLACEMENT_MODES.map((m) => (
+                <option key={m.id} value={m.id}>{m.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {STARTER_FONTS.map((starter) => {
+            const insertCount = starterPlacements(starter, selection, mode).length;
+            const preview = starter.characters.filter(({ char }) => char.segments !== 0);
+            return (
+              <div key={starter.id} className="p-3 bg-gray-900 rounded space-y-2">
+                <div className="flex items-center justify-between gap-4">
+                  <div>
+                    <div className="text-white font-medium">
+                      {starter.name} <span className="text-sm text-gray-500">({starter.characters.length} characters)</span>
+                    </div>
+                    <div className="text-sm text-gray-400">{starter.description}</div>
+                  </div>
+                  <div className="flex gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => onInsert(starter, mode)}
+                      disabled={insertCount === 0}
+                      className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded text-sm"
+                      title="Copy this starter's glyphs into the selected slots of the current font"
+                    >
+                      Insert into selection ({insertCount})
+                    </button>
+                    <button
+                      onClick={() => onCreate(starter)}
+                      className="px-3 py-1.5 bg-blue-600 hover:bg-blue-500 text-white rounded text-sm"
+                    >
+                      Create
+                    </button>
+                  </div>
+                </div>
+                <div className="flex gap-1">
+                  {preview.slice(0, PREVIEW_GLYPHS).map(({ index, char }) => (
+                    <div key={index} title={char.name}>
+                      <SegmentDisplay value={char.segments} size={20} interactive={false} />
+                    </div>
+                  ))}
+                  {preview.length > PREVIEW_GLYPHS && <span className="self-end text-gray-500">&hellip;</span>}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+export default function RecoveryDialog({ session, onRestore, onDiscard }) {
+  const countDefined = (font) => font.characters.filter((char) => char !== null).length;
+  const savedAt = session.savedAt ? new Date(session.savedAt).toLocaleString() : 'an earlier session';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[480px] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Restore previous session?</h2>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-2 text-sm text-gray-300">
+          <p>
+            An autosaved session from {savedAt} was found.
+          </p>
+          <ul className="space-y-1">
+            {session.documents.map((doc, i) => (
+              <li key={i}>
+                <span className="text-white font-semibold">{doc.font.name}</span>
+                {' '}({countDefined(doc.font)} defined characters)
+                {doc.dirty && <span className="text-yellow-400"> had unsaved changes</span>}
+              </li>
+            ))}
+          </ul>
+          <p className="text-gray-500">
+            Restoring reopens every tab and also brings back the selection and the export
+            dialog's custom template.
+          </p>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onDiscard}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Start fresh
+          </button>
+          <button
+            onClick={onRestore}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded"
+          >
+            Restore
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useMemo } from 'react';
+import { RENAME_FIELDS, checkPattern, planRename, appliedRows } from '../lib/rename';
+import { formatIndex } from '../lib/codePages';
+
+const PROBLEM_COLORS = {
+  skip: 'text-gray-500',
+  identifier: 'text-yellow-400',
+};
+
+export default function RenameDialog({ font, selection, onApply, onClose }) {
+  const [pattern, setPattern] = useState('CHAR_{hex}');
+  const [start, setStart] = useState(0);
+  const [onlyUnnamed, setOnlyUnnamed] = useState(false);
+
+  const patternError = checkPattern(pattern);
+  const rows = useMemo(
+    () => (patternError ? [] : planRename(font, selection.selected, { pattern, start, onlyUnnamed })),
+    [font, selection.selected, pattern, start, onlyUnnamed, patternError],
+  );
+  const applied = appliedRows(rows);
+  const conflicts = rows.filter((r) => r.problem && !['skip', 'identifier'].includes(r.problem.kind));
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[800px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Rename Characters</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          <div className="flex items-end gap-4">
+            <div className="flex-1">
+              <label className="block text-sm text-gray-400 mb-1">Pattern</label>
+              <input
+                type="text"
+                value={pattern}
+                onChange={(e) => setPattern(e.target.value)}
+                className={`w-full px-3 py-2 bg-gray-700 border rounded text-white font-mono ${
+                  patternError ? 'border-red-500' : 'border-gray-600'
+                }`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">{'{n}'} starts at</label>
+              <input
+                type="number"
+                value={start}
+                onChange={(e) => setStart(parseInt(e.target.value, 10) || 0)}
+                className="w-20 px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
+              />
+            </div>
+            <label className="flex items-center gap-2 pb-2 text-sm text-gray-400">
+              <input
+                type="checkbox"
+                checked={onlyUnnamed}
+                onChange={(e) => setOnlyUnnamed(e.target.checked)}
+              />
+              Only unnamed slots
+            </label>
+          </div>
+
+          {patternError && <p className="text-sm text-red-400">{patternError}</p>}
+
+          <div className="text-xs text-gray-500 space-y-0.5">
+            {RENAME_FIELDS.map((f) => (
+              <div key={f.id}>
+                <code className="text-gray-300">{`{${f.id}}`}</code> {f.description}
+              </div>
+            ))}
+            <div>
+              Add <code className="text-gray-300">:upper</code>, <code className="text-gray-300">:lower</code> or
+              a width such as <code className="text-gray-300">:2</code> to change case or zero-pad, e.g.{' '}
+              <code className="text-gray-300">LETTER_{'{ascii:upper}'}</code>, <code className="text-gray-300">DIGIT_{'{n}'}</code>
+            </div>
+          </div>
+
+          {/* Preview */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">
+              Preview: {applied.length} to rename
+              {conflicts.length > 0 && <span className="text-red-400">, {conflicts.length} with conflicts left unchanged</span>}
+            </label>
+            <div className="bg-gray-900 rounded max-h-80 overflow-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="px-3 py-1 font-normal">Slot</th>
+                    <th className="px-3 py-1 font-normal">Current</th>
+                    <th className="px-3 py-1 font-normal">New</th>
+                    <th className="px-3 py-1 font-normal" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(({ index, before, after, problem }) => (
+                    <tr key={index} className="border-t border-gray-800">
+                      <td className="px-3 py-1 font-mono text-gray-400">{formatIndex(index)}</td>
+                      <td className="px-3 py-1 font-mono text-gray-400">{before ?? ''}</td>
+                      <td className="px-3 py-1 font-mono text-white">{after ?? ''}</td>
+                      <td className={`px-3 py-1 text-xs ${problem ? PROBLEM_COLORS[problem.kind] ?? 'text-red-400' : ''}`}>
+                        {problem?.message}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {rows.length === 0 && !patternError && (
+                <p className="px-3 py-2 text-sm text-gray-500">No defined characters selected</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(applied)}
+            disabled={applied.length === 0}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded"
+          >
+            Rename {applied.length} character{applied.length === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
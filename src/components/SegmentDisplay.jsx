@@ -2,137 +2,99 @@
  * Copyright (c) 2026, Ant Skelton
  * SPDX-License-Identifier: BSD-3-Clause
  */
-import { useMemo } from 'react';
-
-// Segment bit values
-export const SEGMENTS = {
-  a: 1,
-  b: 2,
-  c: 4,
-  d: 8,
-  e: 16,
-  f: 32,
-  g1: 64,
-  g2: 128,
-  h: 256,
-  j: 512,
-  k: 1024,
-  l: 2048,
-  m: 4096,
-  n: 8192,
-  dp: 16384,
-};
-
-export const SEGMENT_NAMES = Object.keys(SEGMENTS);
-
-export default function SegmentDisplay({ value = 0, onSegmentClick, size = 200, interactive = true }) {
-  const width = size;
-  const height = size * 1.54;
-  const dpSize = size * 0.1;
-
-  // Calculate dimensions
-  const segmentThickness = size * 0.08;
-  const padding = size * 0.05;
-  const innerWidth = width - padding * 2;
-  const innerHeight = height - padding * 2 - dpSize;
+import { useState, useMemo } from 'react';
+import { SEGMENTS } from '../lib/segments';
+import { segmentGeometry } from '../lib/segmentGeometry';
+
+// highlight is a segment mask drawn in highlightColor, bright where lit and faint where not.
+// focused names a segment outlined as the keyboard focus.
+// Segments are painted with any pointer: pressing a segment turns it on (or off if
+// it was lit) and dragging applies the same to every segment crossed. The stroke is
+// drawn locally and reported once, as the new value, through onPaint when it ends
+export default function SegmentDisplay({
+  value = 0,
+  onPaint,
+  size = 200,
+  interactive = true,
+  brightness = 1,
+  highlight = 0,
+  highlightColor = '#f59e0b',
+  focused = null,
+}) {
+  const { width, height, dpSize, segments, dp } = useMemo(() => segmentGeometry(size), [size]);
+  const [stroke, setStroke] = useState(null); // { pointerId, on, value } while painting
+  const shown = stroke ? stroke.value : value;
+  const paintable = interactive && onPaint;
+
+  const paint = (current, segment, on) => (on ? current | SEGMENTS[segment] : current & ~SEGMENTS[segment]);
+
+  const handlePointerDown = (e) => {
+    const segment = e.target.dataset?.segment;
+    if (!paintable || !segment || e.button !== 0) return;
+    // Capture keeps the stroke alive outside the digit; touch pointers capture anyway
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const on = (value & SEGMENTS[segment]) === 0;
+    setStroke({ pointerId: e.pointerId, on, value: paint(value, segment, on) });
+  };
 
-  const centerX = width / 2;
-  const centerY = padding + innerHeight / 2;
+  // Captured pointers report moves to the svg, so find the segment under the pointer
+  const handlePointerMove = (e) => {
+    if (!stroke || e.pointerId !== stroke.pointerId) return;
+    const element = document.elementFromPoint(e.clientX, e.clientY);
+    const segment = e.currentTarget.contains(element) ? element.dataset?.segment : null;
+    if (!segment) return;
+    setStroke((prev) => {
+      const next = paint(prev.value, segment, prev.on);
+      return next === prev.value ? prev : { ...prev, value: next };
+    });
+  };
 
-  const halfWidth = innerWidth / 2 - segmentThickness;
-  const halfHeight = innerHeight / 2 - segmentThickness;
+  const handlePointerUp = (e) => {
+    if (!stroke || e.pointerId !== stroke.pointerId) return;
+    setStroke(null);
+    if (stroke.value !== value) onPaint(stroke.value);
+  };
 
-  const handleClick = (segment) => {
-    if (interactive && onSegmentClick) {
-      onSegmentClick(segment);
-    }
+  // A cancelled stroke (e.g. the browser took over a touch) is dropped
+  const handlePointerCancel = (e) => {
+    if (stroke && e.pointerId === stroke.pointerId) setStroke(null);
   };
 
-  const isLit = (segment) => (value & SEGMENTS[segment]) !== 0;
+  const isLit = (segment) => (shown & SEGMENTS[segment]) !== 0;
+
+  const isHighlighted = (segment) => (highlight & SEGMENTS[segment]) !== 0;
 
   const getSegmentColor = (segment) => {
+    if (isHighlighted(segment)) return highlightColor;
     return isLit(segment) ? '#ffffff' : '#333333';
   };
 
+  const getSegmentOpacity = (segment) => {
+    if (isLit(segment)) return brightness;
+    return isHighlighted(segment) ? 0.3 : 1;
+  };
+
   const segmentStyle = (segment) => ({
     fill: getSegmentColor(segment),
+    fillOpacity: getSegmentOpacity(segment),
     cursor: interactive ? 'pointer' : 'default',
     transition: 'fill 0.1s ease, filter 0.1s ease',
     filter: isLit(segment) ? 'url(#glow)' : 'none',
+    stroke: segment === focused ? '#60a5fa' : 'none',
+    strokeWidth: 2,
   });
 
-  // Segment path definitions
-  const segments = useMemo(() => {
-    const t = segmentThickness;
-    const ht = t / 2;
-
-    // Horizontal segment (full width)
-    const hSegment = (x, y, w) => {
-      return `M ${x + ht} ${y} L ${x + w - ht} ${y} L ${x + w} ${y + ht} L ${x + w - ht} ${y + t} L ${x + ht} ${y + t} L ${x} ${y + ht} Z`;
-    };
-
-    // Horizontal segment (half width)
-    const hHalfSegment = (x, y, w, isLeft) => {
-      if (isLeft) {
-        return `M ${x + ht} ${y} L ${x + w} ${y} L ${x + w} ${y + t} L ${x + ht} ${y + t} L ${x} ${y + ht} Z`;
-      } else {
-        return `M ${x} ${y} L ${x + w - ht} ${y} L ${x + w} ${y + ht} L ${x + w - ht} ${y + t} L ${x} ${y + t} Z`;
-      }
-    };
-
-    // Vertical segment
-    const vSegment = (x, y, h) => {
-      return `M ${x + ht} ${y} L ${x + t} ${y + ht} L ${x + t} ${y + h - ht} L ${x + ht} ${y + h} L ${x} ${y + h - ht} L ${x} ${y + ht} Z`;
-    };
-
-    // Diagonal segment (for h, k, n, l)
-    const diagonalSegment = (x1, y1, x2, y2) => {
-      const dx = x2 - x1;
-      const dy = y2 - y1;
-      const len = Math.sqrt(dx * dx + dy * dy);
-      const nx = -dy / len * (t * 0.4);
-      const ny = dx / len * (t * 0.4);
-
-      return `M ${x1 + nx} ${y1 + ny} L ${x2 + nx} ${y2 + ny} L ${x2 - nx} ${y2 - ny} L ${x1 - nx} ${y1 - ny} Z`;
-    };
-
-    const left = padding;
-    const right = width - padding - t;
-    const top = padding;
-    const bottom = height - padding - dpSize - t;
-    const mid = centerY - ht;
-
-    const innerLeft = left + t + ht;
-    const innerRight = right - ht;
-    const innerTop = top + t + ht;
-    const innerBottom = bottom - ht;
-    const innerMidTop = mid - ht;
-    const innerMidBottom = mid + t + ht;
-
-    return {
-      a: { d: hSegment(left + t, top, innerWidth - t * 2), name: 'a' },
-      b: { d: vSegment(right, top + t, halfHeight), name: 'b' },
-      c: { d: vSegment(right, centerY + ht, halfHeight), name: 'c' },
-      d: { d: hSegment(left + t, bottom, innerWidth - t * 2), name: 'd' },
-      e: { d: vSegment(left, centerY + ht, halfHeight), name: 'e' },
-      f: { d: vSegment(left, top + t, halfHeight), name: 'f' },
-      g1: { d: hHalfSegment(left + t, mid, halfWidth - t, true), name: 'g1' },
-      g2: { d: hHalfSegment(centerX + ht, mid, halfWidth - t, false), name: 'g2' },
-      h: { d: diagonalSegment(innerLeft, innerTop, centerX - ht, innerMidTop), name: 'h' },
-      j: { d: vSegment(centerX - ht, top + t, halfHeight - t), name: 'j' },
-      k: { d: diagonalSegment(innerRight, innerTop, centerX + ht, innerMidTop), name: 'k' },
-      l: { d: diagonalSegment(centerX + ht, innerMidBottom, innerRight, innerBottom), name: 'l' },
-      m: { d: vSegment(centerX - ht, centerY + ht, halfHeight - t), name: 'm' },
-      n: { d: diagonalSegment(innerLeft, innerBottom, centerX - ht, innerMidBottom), name: 'n' },
-    };
-  }, [size, width, height, padding, innerWidth, innerHeight, centerX, centerY, halfWidth, halfHeight, segmentThickness]);
-
-  // Decimal point
-  const dpX = width - padding + dpSize * 0.5;
-  const dpY = height - padding - dpSize / 2;
-
   return (
-    <svg width={width + dpSize * 2} height={height} className="select-none">
+    <svg
+      width={width + dpSize * 2}
+      height={height}
+      className="select-none"
+      style={paintable ? { touchAction: 'none' } : undefined}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerCancel}
+    >
       <defs>
         <filter id="glow" x="-50%" y="-50%" width="200%" height="200%">
           <feGaussianBlur stdDeviation="3" result="coloredBlur"/>
@@ -149,8 +111,8 @@ export default function SegmentDisplay({ value = 0, onSegmentClick, size = 200,
         <path
           key={key}
           d={seg.d}
+          data-segment={key}
           style={segmentStyle(key)}
-          onClick={() => handleClick(key)}
         >
           <title>{key}</title>
         </path>
@@ -158,11 +120,11 @@ export default function SegmentDisplay({ value = 0, onSegmentClick, size = 200,
 
       {/* Decimal point */}
       <circle
-        cx={dpX}
-        cy={dpY}
-        r={dpSize / 2}
+        cx={dp.cx}
+        cy={dp.cy}
+        r={dp.r}
+        data-segment="dp"
         style={segmentStyle('dp')}
-        onClick={() => handleClick('dp')}
       >
         <title>dp</title>
       </circle>
@@ -0,0 +1,87 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState } from 'react';
+import SegmentDisplay from './SegmentDisplay';
+import MessagePreview from './MessagePreview';
+import { printableChar, formatIndex } from '../lib/codePages';
+
+// Read-only view of a font opened from a share link. Nothing is added to the
+// workspace unless the font is forked
+export default function SharedFontDialog({ font, onFork, onClose }) {
+  const [hover, setHover] = useState(null);
+  const definedCount = font.characters.filter(Boolean).length;
+
+  const describe = (index) => {
+    const char = font.characters[index];
+    const mapped = printableChar(font.codePage.codepoints[index]);
+    return [formatIndex(index), mapped && `'${mapped}'`, char ? char.name || '(unnamed)' : '(empty)']
+      .filter(Boolean)
+      .join(' ');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[800px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Shared Font: {font.name}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          <p className="text-sm text-gray-400">
+            {definedCount} characters, {font.wiring.name} wiring, {font.codePage.name} code page.
+            This is a read-only view; fork the font to edit it.
+          </p>
+
+          <div>
+            <div
+              className="grid gap-0.5 w-fit bg-gray-900 p-1 rounded"
+              style={{ gridTemplateColumns: 'repeat(16, auto)' }}
+            >
+              {font.characters.map((char, index) => (
+                <div
+                  key={index}
+                  onMouseEnter={() => setHover(index)}
+                  onMouseLeave={() => setHover(null)}
+                  className={`w-9 h-11 flex items-center justify-center rounded ${char ? 'bg-gray-800' : 'bg-gray-900'}`}
+                >
+                  {char && <SegmentDisplay value={char.segments} size={20} interactive={false} />}
+                </div>
+              ))}
+            </div>
+            <p className="text-xs font-mono text-gray-500 mt-1 h-4">
+              {hover !== null ? describe(hover) : 'Hover over a slot for its details.'}
+            </p>
+          </div>
+
+          <MessagePreview font={font} />
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Close
+          </button>
+          <button
+            onClick={onFork}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded"
+          >
+            Fork into my workspace
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
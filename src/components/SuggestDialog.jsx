@@ -0,0 +1,306 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useRef } from 'react';
+import SegmentDisplay from './SegmentDisplay';
+import { parseLiteral } from '../lib/sourceImport';
+import { asciiName } from '../lib/ascii';
+import {
+  SUGGEST_TYPEFACES,
+  DEFAULT_THRESHOLD,
+  loadTypeface,
+  scoreCharacter,
+  suggestSegments,
+} from '../lib/glyphSuggest';
+import { formatIndex } from '../lib/codePages';
+
+// Code points worth rasterising: mapped, and not a control or format character
+const isPrintable = (codepoint) => codepoint !== null && !/\p{C}/u.test(String.fromCodePoint(codepoint));
+
+// Start with the selected range, or printable ASCII for a single selection
+function initialRange(selection) {
+  const selected = [...selection.selected];
+  if (selected.length > 1) {
+    return [Math.min(...selected), Math.max(...selected)];
+  }
+  return [0x20, 0x7E];
+}
+
+export default function SuggestDialog({ font, selection, onApply, onClose }) {
+  const [startInput, setStartInput] = useState(() => formatIndex(initialRange(selection)[0]));
+  const [endInput, setEndInput] = useState(() => formatIndex(initialRange(selection)[1]));
+  const [family, setFamily] = useState(SUGGEST_TYPEFACES[0]);
+  const [fileFamilies, setFileFamilies] = useState([]); // families loaded from font files
+  const [weight, setWeight] = useState('400');
+  const [threshold, setThreshold] = useState(DEFAULT_THRESHOLD);
+  const [results, setResults] = useState(null); // [{ index, codepoint, ch, scores, image }]
+  const [accepted, setAccepted] = useState(new Set());
+  const [sourceFamily, setSourceFamily] = useState(null); // family the results came from
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const start = parseLiteral(startInput);
+  const end = parseLiteral(endInput);
+  const rangeValid = !isNaN(start) && !isNaN(end) && start >= 0 && end < 256 && start <= end;
+
+  // Suggestions follow the threshold without rasterising again
+  const rows = (results || []).map((r) => ({
+    ...r,
+    current: font.characters[r.index],
+    segments: suggestSegments(r.scores, threshold),
+  }));
+  const acceptedRows = rows.filter((r) => accepted.has(r.index));
+
+  const handleFontFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const name = file.name.replace(/\.[^.]+$/, '');
+      const face = new FontFace(name, await file.arrayBuffer());
+      await face.load();
+      document.fonts.add(face);
+      setFileFamilies((prev) => (prev.includes(name) ? prev : [...prev, name]));
+      setFamily(name);
+      setError(null);
+    } catch (err) {
+      setError(`Could not load ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleGenerate = async () => {
+    if (!rangeValid || !family.trim()) return;
+    const typeface = { family: family.trim(), weight };
+    setBusy(true);
+    setError(null);
+    try {
+      await loadTypeface(typeface);
+      const generated = [];
+      // Slots are rasterised as the character the font's code page maps them to
+      for (let index = start; index <= end; index++) {
+        const codepoint = font.codePage.codepoints[index];
+        if (!isPrintable(codepoint)) continue;
+        const ch = String.fromCodePoint(codepoint);
+        generated.push({ index, codepoint, ch, ...scoreCharacter(ch, typeface) });
+      }
+      // Accept suggestions for empty slots by default; keep existing designs
+      setAccepted(new Set(generated
+        .filter((r) => !font.characters[r.index]?.segments)
+        .map((r) => r.index)));
+      setResults(generated);
+      setSourceFamily(typeface.family);
+    } catch (err) {
+      setError(`Could not rasterise with ${typeface.family}: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleAccepted = (index) => {
+    setAccepted((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  const setAllAccepted = (on) => {
+    setAccepted(on ? new Set(rows.map((r) => r.index)) : new Set());
+  };
+
+  const handleApply = () => {
+    onApply(
+      acceptedRows.map((r) => ({
+        index: r.index,
+        char: { segments: r.segments, name: r.current?.name ?? asciiName(r.codepoint) },
+      })),
+      sourceFamily,
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[800px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Suggest Glyphs from Typeface</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          {/* Typeface */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Typeface</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                list="suggest-typefaces"
+                value={family}
+                onChange={(e) => setFamily(e.target.value)}
+                placeholder="Installed font family"
+                className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
+              />
+              <datalist id="suggest-typefaces">
+                {[...fileFamilies, ...SUGGEST_TYPEFACES].map((name) => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+              <select
+                value={weight}
+                onChange={(e) => setWeight(e.target.value)}
+                className="px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
+              >
+                <option value="300">Light</option>
+                <option value="400">Regular</option>
+                <option value="700">Bold</option>
+                <option value="900">Black</option>
+              </select>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+              >
+                Load font file...
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".ttf,.otf,.woff,.woff2"
+                onChange={handleFontFile}
+                className="hidden"
+              />
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              Any installed family name works; unknown names fall back to the browser default.
+            </p>
+          </div>
+
+          {/* Range and threshold */}
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-400">
+            <label className="flex items-center gap-2">
+              Slots:
+              <input
+                type="text"
+                value={startInput}
+                onChange={(e) => setStartInput(e.target.value)}
+                className={`w-16 px-2 py-1 bg-gray-700 border rounded text-white font-mono ${
+                  rangeValid ? 'border-gray-600' : 'border-red-500'
+                }`}
+              />
+              to
+              <input
+                type="text"
+                value={endInput}
+                onChange={(e) => setEndInput(e.target.value)}
+                className={`w-16 px-2 py-1 bg-gray-700 border rounded text-white font-mono ${
+                  rangeValid ? 'border-gray-600' : 'border-red-500'
+                }`}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Threshold:
+              <input
+                type="range"
+                min={0.05}
+                max={0.95}
+                step={0.05}
+                value={threshold}
+                onChange={(e) => setThreshold(parseFloat(e.target.value))}
+                className="accent-blue-500"
+              />
+              <span className="font-mono w-10">{Math.round(threshold * 100)}%</span>
+            </label>
+            <button
+              onClick={handleGenerate}
+              disabled={!rangeValid || !family.trim() || busy}
+              className="px-3 py-1 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded"
+            >
+              {busy ? 'Generating...' : 'Generate'}
+            </button>
+          </div>
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
+          {/* Side-by-side preview */}
+          {results && (
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="text-sm text-gray-400">
+                  {rows.length} suggestions from {sourceFamily}, {acceptedRows.length} accepted
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setAllAccepted(true)}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                  >
+                    Accept all
+                  </button>
+                  <button
+                    onClick={() => setAllAccepted(false)}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                  >
+                    Reject all
+                  </button>
+                </div>
+              </div>
+              <div className="h-72 overflow-auto bg-gray-900 border border-gray-600 rounded p-2">
+                <div className="grid grid-cols-2 gap-2">
+                  {rows.map((r) => (
+                    <label
+                      key={r.index}
+                      className={`flex items-center gap-3 p-2 rounded cursor-pointer ${
+                        accepted.has(r.index) ? 'bg-gray-700' : 'opacity-50'
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={accepted.has(r.index)}
+                        onChange={() => toggleAccepted(r.index)}
+                      />
+                      <span className="w-12 text-xs font-mono text-gray-400">
+                        {formatIndex(r.index)} {r.ch}
+                      </span>
+                      <img src={r.image} alt={r.ch} className="h-10 bg-black rounded" title="Rasterised" />
+                      <div title="Current">
+                        <SegmentDisplay value={r.current?.segments ?? 0} size={26} interactive={false} />
+                      </div>
+                      <span className="text-gray-500">&rarr;</span>
+                      <div title="Suggested">
+                        <SegmentDisplay value={r.segments} size={26} interactive={false} />
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={acceptedRows.length === 0}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded"
+          >
+            Apply {acceptedRows.length > 0 && acceptedRows.length}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
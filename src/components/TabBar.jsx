@@ -0,0 +1,48 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { documentFont, isDocumentDirty } from '../hooks/useWorkspace';
+
+export default function TabBar({ documents, activeId, onActivate, onClose, onNew }) {
+  return (
+    <div className="flex items-end gap-1 px-4 pt-2 bg-gray-900 border-b border-gray-700 overflow-x-auto">
+      {documents.map((doc) => {
+        const isActive = doc.id === activeId;
+        return (
+          <div
+            key={doc.id}
+            onClick={() => onActivate(doc.id)}
+            // Hovering a tab while dragging characters switches to it, so they can be dropped there
+            onDragOver={() => !isActive && onActivate(doc.id)}
+            className={`flex items-center gap-2 px-3 py-1.5 rounded-t text-sm cursor-pointer whitespace-nowrap ${
+              isActive
+                ? 'bg-gray-800 text-white'
+                : 'bg-gray-900 text-gray-400 hover:bg-gray-800 hover:text-gray-200'
+            }`}
+          >
+            <span>{documentFont(doc).name || 'Untitled Font'}</span>
+            {isDocumentDirty(doc) && <span className="text-yellow-400" title="Unsaved changes">&#9679;</span>}
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onClose(doc.id);
+              }}
+              className="text-gray-500 hover:text-white leading-none"
+              title="Close"
+            >
+              &times;
+            </button>
+          </div>
+        );
+      })}
+      <button
+        onClick={onNew}
+        className="px-3 py-1.5 text-gray-400 hover:text-white text-sm"
+        title="New font"
+      >
+        +
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,258 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useMemo, useRef } from 'react';
+import SegmentDisplay from './SegmentDisplay';
+import { parseFontSource, parseLiteral } from '../lib/sourceImport';
+import { SOURCE_BIT_ORDERS, parseBitOrder, translateWord } from '../lib/tableImport';
+import { asciiName } from '../lib/ascii';
+import { formatIndex } from '../lib/codePages';
+
+// Guess the first character code from the table: an index in the first comment,
+// 32 for a printable-only table, otherwise 0
+function guessFirstCode(parsed) {
+  if (parsed.startSlot > 0) return parsed.startSlot;
+  const count = parsed.glyphs.length;
+  return count === 95 || count === 96 ? 32 : 0;
+}
+
+export default function TableImportDialog({ font, onImport, onClose }) {
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState(null);
+  const [orderText, setOrderText] = useState(SOURCE_BIT_ORDERS[0].order);
+  const [fold, setFold] = useState('any');
+  const [firstInput, setFirstInput] = useState(''); // empty means use the guess
+  const [skipBlank, setSkipBlank] = useState(true);
+  const [overwrite, setOverwrite] = useState(true);
+  const fileInputRef = useRef(null);
+
+  const order = useMemo(() => parseBitOrder(orderText), [orderText]);
+  // Bit orders wider than 16 bits (the split order puts DP at bit 16) take wider words
+  const wordBits = Math.max(16, order.bits.length);
+  const parsed = useMemo(() => parseFontSource(text, { bits: wordBits }), [text, wordBits]);
+  const guessedFirst = guessFirstCode(parsed);
+  const firstCode = firstInput.trim() === '' ? guessedFirst : parseLiteral(firstInput);
+  const firstValid = !isNaN(firstCode) && firstCode >= 0 && firstCode < 256;
+  const presetId = SOURCE_BIT_ORDERS.find((o) => o.order === orderText)?.id || 'custom';
+
+  // Translated glyphs with their target slots
+  const glyphs = useMemo(() => {
+    if (!firstValid || order.unknown.length > 0) return [];
+    return parsed.glyphs.map((glyph, i) => {
+      const index = firstCode + i;
+      const segments = translateWord(glyph.segments, order.bits, fold);
+      const existing = index < 256 && font.characters[index] !== null;
+      const skipped = index > 255 ||
+        (skipBlank && segments === 0 && index !== 32) ||
+        (!overwrite && existing);
+      return {
+        index,
+        word: glyph.segments,
+        segments,
+        name: index < 128 ? asciiName(index) : null,
+        existing,
+        skipped,
+      };
+    });
+  }, [parsed, order, fold, firstCode, firstValid, skipBlank, overwrite, font.characters]);
+
+  const imported = glyphs.filter((g) => !g.skipped);
+  const overwrites = imported.filter((g) => g.existing).length;
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        setText(event.target.result);
+        setFileName(file.name);
+      };
+      reader.readAsText(file);
+    }
+    e.target.value = '';
+  };
+
+  const handlePresetChange = (e) => {
+    const preset = SOURCE_BIT_ORDERS.find((o) => o.id === e.target.value);
+    if (preset) setOrderText(preset.order);
+  };
+
+  const handleImport = () => {
+    onImport(
+      imported.map((g) => ({ index: g.index, char: { segments: g.segments, name: g.name } })),
+      fileName || 'table',
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl w-[800px] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-white">Import Font Table</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white text-xl leading-none"
+          >
+            &times;
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          {/* Table source */}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="text-sm text-gray-400">
+                Table {fileName && <span className="text-gray-500">({fileName})</span>}
+              </label>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+              >
+                Load file...
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".h,.c,.cpp,.ino,.asm,.txt"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+            </div>
+            <textarea
+              value={text}
+              onChange={(e) => {
+                setText(e.target.value);
+                setFileName(null);
+              }}
+              className="w-full h-24 px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white font-mono text-sm"
+              placeholder="Paste a uint16_t table, e.g. 0b0000000000000001, 0x00F7, ..."
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              {parsed.glyphs.length} values recognised
+            </p>
+          </div>
+
+          {/* Bit order */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Source bit order (bit 0 first)</label>
+            <div className="flex gap-2">
+              <select
+                value={presetId}
+                onChange={handlePresetChange}
+                className="px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
+              >
+                {SOURCE_BIT_ORDERS.map((o) => (
+                  <option key={o.id} value={o.id}>{o.name}</option>
+                ))}
+                <option value="custom">Custom</option>
+              </select>
+              <input
+                type="text"
+                value={orderText}
+                onChange={(e) => setOrderText(e.target.value)}
+                className={`flex-1 px-3 py-2 bg-gray-700 border rounded text-white font-mono text-sm ${
+                  order.unknown.length > 0 ? 'border-red-500' : 'border-gray-600'
+                }`}
+              />
+            </div>
+            {order.unknown.length > 0 ? (
+              <p className="text-xs text-red-400 mt-1">Unknown segments: {order.unknown.join(', ')}</p>
+            ) : (
+              <p className="text-xs text-gray-500 mt-1">
+                Names: A A1 A2 B C D D1 D2 E F G1 G2 H J K L M N DP, or - for an unused bit.
+                L is the lower-left diagonal and N the lower-right.
+              </p>
+            )}
+          </div>
+
+          {/* Options */}
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-400">
+            <label className="flex items-center gap-2">
+              First character code:
+              <input
+                type="text"
+                value={firstInput}
+                onChange={(e) => setFirstInput(e.target.value)}
+                placeholder={String(guessedFirst)}
+                className={`w-16 px-2 py-1 bg-gray-700 border rounded text-white font-mono ${
+                  firstValid ? 'border-gray-600' : 'border-red-500'
+                }`}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Split segments:
+              <select
+                value={fold}
+                onChange={(e) => setFold(e.target.value)}
+                className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white"
+              >
+                <option value="any">Lit if either half is lit</option>
+                <option value="both">Lit only if both halves are lit</option>
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={skipBlank}
+                onChange={(e) => setSkipBlank(e.target.checked)}
+              />
+              Skip blank glyphs (except space)
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={overwrite}
+                onChange={(e) => setOverwrite(e.target.checked)}
+              />
+              Overwrite existing characters
+            </label>
+          </div>
+
+          {/* Preview */}
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">
+              Preview: importing {imported.length}
+              {overwrites > 0 && <span className="text-yellow-400"> ({overwrites} overwrite existing characters)</span>}
+            </label>
+            <div className="h-56 overflow-auto bg-gray-900 border border-gray-600 rounded p-2">
+              <div className="grid grid-cols-12 gap-2">
+                {glyphs.map((g) => (
+                  <div
+                    key={g.index}
+                    className={`flex flex-col items-center ${g.skipped ? 'opacity-30' : ''}`}
+                    title={`${formatIndex(g.index)} ${g.name || ''}`}
+                  >
+                    <SegmentDisplay value={g.segments} size={24} interactive={false} />
+                    <span className={`text-xs font-mono ${g.existing ? 'text-yellow-400' : 'text-gray-400'}`}>
+                      {g.index >= 32 && g.index < 127 ? String.fromCharCode(g.index) : formatIndex(g.index)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={imported.length === 0}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,17 +2,31 @@
  * Copyright (c) 2026, Ant Skelton
  * SPDX-License-Identifier: BSD-3-Clause
  */
-import { useRef } from 'react';
+import { useState, useRef } from 'react';
+import { CODE_PAGES } from '../lib/codePages';
 
 export default function Toolbar({
   fontName,
+  codePageId,
+  dirty,
+  autosavedAt,
   onFontNameChange,
+  onCodePageChange,
   onNewFont,
   onLoadFont,
+  onImportSource,
+  onImportTable,
   onSaveFont,
+  onShareLink,
   onExportAsm,
+  onExportBundle,
+  onShowLibrary,
+  onCompare,
+  onAnalyse,
 }) {
   const fileInputRef = useRef(null);
+  const sourceInputRef = useRef(null);
+  const [linkCopied, setLinkCopied] = useState(false);
 
   const handleLoadClick = () => {
     fileInputRef.current?.click();
@@ -35,6 +49,25 @@ export default function Toolbar({
     e.target.value = '';
   };
 
+  const handleSourceChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        onImportSource(event.target.result, file.name);
+      };
+      reader.readAsText(file);
+    }
+    e.target.value = '';
+  };
+
+  const handleShareClick = async () => {
+    if (await onShareLink()) {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    }
+  };
+
   return (
     <div className="flex items-center gap-4 p-4 bg-gray-900 border-b border-gray-700">
       <h1 className="text-xl font-bold text-white">MicroBeast font editor</h1>
@@ -48,6 +81,28 @@ export default function Toolbar({
           className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
           placeholder="Untitled Font"
         />
+        <span
+          className={`text-xs ${dirty ? 'text-yellow-400' : 'text-gray-500'}`}
+          title={autosavedAt ? `Autosaved at ${new Date(autosavedAt).toLocaleTimeString()}` : 'Not autosaved yet'}
+        >
+          {dirty ? '\u25CF Unsaved changes' : 'Saved'}
+        </span>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <label className="text-sm text-gray-400">Code Page:</label>
+        <select
+          value={codePageId}
+          onChange={(e) => onCodePageChange(e.target.value)}
+          className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+        >
+          {CODE_PAGES.map((page) => (
+            <option key={page.id} value={page.id} title={page.description}>{page.name}</option>
+          ))}
+          {!CODE_PAGES.some((page) => page.id === codePageId) && (
+            <option value={codePageId} disabled>Custom</option>
+          )}
+        </select>
       </div>
 
       <div className="flex gap-2 ml-auto">
@@ -70,18 +125,70 @@ export default function Toolbar({
           onChange={handleFileChange}
           className="hidden"
         />
+        <button
+          onClick={() => sourceInputRef.current?.click()}
+          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+        >
+          Import Source
+        </button>
+        <input
+          ref={sourceInputRef}
+          type="file"
+          accept=".asm,.s,.z80,.inc,.h,.c,.txt"
+          onChange={handleSourceChange}
+          className="hidden"
+        />
+        <button
+          onClick={onImportTable}
+          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+        >
+          Import Table
+        </button>
+        <button
+          onClick={onShowLibrary}
+          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+        >
+          Library
+        </button>
+        <button
+          onClick={onCompare}
+          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+        >
+          Compare
+        </button>
+        <button
+          onClick={onAnalyse}
+          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+          title="Find glyphs that look alike"
+        >
+          Legibility
+        </button>
         <button
           onClick={onSaveFont}
           className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm"
         >
           Save JSON
         </button>
+        <button
+          onClick={handleShareClick}
+          className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm"
+          title="Copy a link that opens this font; the font travels in the link itself"
+        >
+          {linkCopied ? 'Link copied' : 'Copy share link'}
+        </button>
         <button
           onClick={onExportAsm}
           className="px-3 py-1.5 bg-purple-600 hover:bg-purple-700 text-white rounded text-sm"
         >
           Export
         </button>
+        <button
+          onClick={onExportBundle}
+          className="px-3 py-1.5 bg-purple-600 hover:bg-purple-700 text-white rounded text-sm"
+          title="Download several exports together as a zip"
+        >
+          Bundle
+        </button>
       </div>
     </div>
   );
@@ -0,0 +1,92 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState } from 'react';
+import { SEGMENT_NAMES } from '../lib/segments';
+import {
+  WIRING_PROFILES,
+  findWiringProfile,
+  wiringForFont,
+  wiringConflicts,
+} from '../lib/wiring';
+
+export default function WiringSettings({ wiring, onChange }) {
+  const [showBits, setShowBits] = useState(false);
+  const isBuiltIn = findWiringProfile(wiring.id) !== null;
+  const conflicts = wiringConflicts(wiring);
+
+  const handleProfileChange = (e) => {
+    const profile = findWiringProfile(e.target.value);
+    if (profile) onChange(wiringForFont(profile));
+  };
+
+  // Any manual edit turns the wiring into a custom profile
+  const updateCustom = (changes) => {
+    onChange({ ...wiring, id: 'custom', name: 'Custom', ...changes });
+  };
+
+  const handleBitChange = (segment, value) => {
+    const bit = parseInt(value, 10);
+    if (isNaN(bit) || bit < 0 || bit > 15) return;
+    updateCustom({ bits: { ...wiring.bits, [segment]: bit } });
+  };
+
+  return (
+    <div>
+      <label className="block text-sm text-gray-400 mb-1">Wiring profile</label>
+      <div className="flex items-center gap-2">
+        <select
+          value={isBuiltIn ? wiring.id : 'custom'}
+          onChange={handleProfileChange}
+          className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white"
+        >
+          {WIRING_PROFILES.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name} - {profile.description}
+            </option>
+          ))}
+          {!isBuiltIn && <option value="custom">{wiring.name}</option>}
+        </select>
+        <label className="flex items-center gap-1 text-sm text-gray-400 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={wiring.activeLow}
+            onChange={(e) => updateCustom({ activeLow: e.target.checked })}
+          />
+          Active low
+        </label>
+        <button
+          onClick={() => setShowBits(!showBits)}
+          className="px-2 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm whitespace-nowrap"
+        >
+          {showBits ? 'Hide bits' : 'Edit bits'}
+        </button>
+      </div>
+
+      {showBits && (
+        <div className="mt-2 grid grid-cols-5 gap-2">
+          {SEGMENT_NAMES.map((segment) => (
+            <label key={segment} className="flex items-center gap-1 text-sm font-mono text-gray-400">
+              <span className="w-6">{segment}</span>
+              <input
+                type="number"
+                min={0}
+                max={15}
+                value={wiring.bits[segment]}
+                onChange={(e) => handleBitChange(segment, e.target.value)}
+                className="w-14 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <p className="text-xs text-yellow-400 mt-1">
+          Segments sharing a bit: {conflicts.map((names) => names.join('/')).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+}
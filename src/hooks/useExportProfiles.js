@@ -0,0 +1,34 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useCallback } from 'react';
+import useStoredList from './useStoredList';
+import { loadProfiles, storeProfiles } from '../lib/exportProfiles';
+import { createId } from '../lib/ids';
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// Persistent list of the user's export profiles, sorted by name
+export default function useExportProfiles() {
+  const [profiles, update] = useStoredList(loadProfiles, storeProfiles, byName,
+    'Could not save export profiles: browser storage is unavailable or full.');
+
+  // Save a profile, updating the one with the given id if there is one.
+  // Returns the id of the profile, or null if it could not be stored
+  const saveProfile = useCallback((fields, id = null) => {
+    const profileId = id ?? createId();
+    const saved = update((prev) => [
+      ...prev.filter((p) => p.id !== profileId),
+      { ...fields, id: profileId, modifiedAt: Date.now() },
+    ]);
+    return saved ? profileId : null;
+  }, [update]);
+
+  // Returns false if the deletion could not be stored
+  const deleteProfile = useCallback((id) => {
+    return update((prev) => prev.filter((p) => p.id !== id));
+  }, [update]);
+
+  return { profiles, saveProfile, deleteProfile };
+}
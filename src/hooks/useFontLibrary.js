@@ -0,0 +1,53 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useCallback } from 'react';
+import useStoredList from './useStoredList';
+import { loadLibrary, storeLibrary } from '../lib/library';
+import { createId } from '../lib/ids';
+
+const newestFirst = (a, b) => b.modifiedAt - a.modifiedAt;
+
+// Persistent library of saved fonts. Entries are kept newest first
+export default function useFontLibrary() {
+  const [entries, update] = useStoredList(loadLibrary, storeLibrary, newestFirst,
+    'Could not save the font library: browser storage is unavailable or full.');
+
+  // Save a font, updating the entry with the given id if there is one.
+  // Returns the id of the entry, or null if it could not be stored
+  const saveFont = useCallback((font, id = null) => {
+    const entryId = id ?? createId();
+    const saved = update((prev) => [
+      { id: entryId, name: font.name, font, modifiedAt: Date.now() },
+      ...prev.filter((entry) => entry.id !== entryId),
+    ]);
+    return saved ? entryId : null;
+  }, [update]);
+
+  const renameEntry = useCallback((id, name) => {
+    update((prev) => prev.map((entry) => (
+      entry.id === id
+        ? { ...entry, name, font: { ...entry.font, name }, modifiedAt: Date.now() }
+        : entry
+    )));
+  }, [update]);
+
+  const duplicateEntry = useCallback((id) => {
+    update((prev) => {
+      const source = prev.find((entry) => entry.id === id);
+      if (!source) return prev;
+      const name = `${source.name} copy`;
+      return [
+        { id: createId(), name, font: { ...source.font, name }, modifiedAt: Date.now() },
+        ...prev,
+      ];
+    });
+  }, [update]);
+
+  const deleteEntry = useCallback((id) => {
+    update((prev) => prev.filter((entry) => entry.id !== id));
+  }, [update]);
+
+  return { entries, saveFont, renameEntry, duplicateEntry, deleteEntry };
+}
@@ -0,0 +1,33 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useCallback } from 'react';
+import { loadKeySettings, storeKeySettings, layoutKeys, bindKey } from '../lib/segmentKeys';
+
+// Persistent keyboard layout for segment editing
+export default function useSegmentKeys() {
+  const [settings, setSettings] = useState(loadKeySettings);
+
+  const update = useCallback((changes) => {
+    const next = { ...settings, ...changes };
+    if (!storeKeySettings(next)) {
+      alert('Could not save keyboard settings: browser storage is unavailable or full.');
+      return;
+    }
+    setSettings(next);
+  }, [settings]);
+
+  // Switching to the custom layout starts it from the layout in use
+  const setLayout = useCallback((layout) => {
+    update(layout === 'custom' && settings.layout !== 'custom'
+      ? { layout, custom: layoutKeys(settings) }
+      : { layout });
+  }, [settings, update]);
+
+  const bindSegmentKey = useCallback((segment, code) => {
+    update({ custom: bindKey(settings.custom, segment, code) });
+  }, [settings, update]);
+
+  return { layout: settings.layout, keys: layoutKeys(settings), setLayout, bindSegmentKey };
+}
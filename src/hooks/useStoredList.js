@@ -0,0 +1,24 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useState, useCallback } from 'react';
+
+// A list kept in localStorage through a lib's load and store functions, in the
+// order given by compare. Returns [items, update]: update(change) stores
+// change(items) and returns false, after alerting failure, if it could not
+export default function useStoredList(load, store, compare, failure) {
+  const [items, setItems] = useState(() => load().sort(compare));
+
+  const update = useCallback((change) => {
+    const next = change(items).sort(compare);
+    if (!store(next)) {
+      alert(failure);
+      return false;
+    }
+    setItems(next);
+    return true;
+  }, [items, store, compare, failure]);
+
+  return [items, update];
+}
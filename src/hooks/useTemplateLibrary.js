@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useCallback } from 'react';
+import useStoredList from './useStoredList';
+import { loadTemplates, storeTemplates } from '../lib/templates';
+import { createId } from '../lib/ids';
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// Persistent library of the user's export templates, sorted by name
+export default function useTemplateLibrary() {
+  const [templates, update] = useStoredList(loadTemplates, storeTemplates, byName,
+    'Could not save export templates: browser storage is unavailable or full.');
+
+  // Save { name, description, extension, template }, updating the template with
+  // the given id if there is one. Returns the id of the template, or null if it
+  // could not be stored
+  const saveTemplate = useCallback((fields, id = null) => {
+    const templateId = id ?? createId();
+    const saved = update((prev) => [
+      ...prev.filter((t) => t.id !== templateId),
+      { description: '', ...fields, id: templateId, modifiedAt: Date.now() },
+    ]);
+    return saved ? templateId : null;
+  }, [update]);
+
+  // Returns false if the deletion could not be stored
+  const deleteTemplate = useCallback((id) => {
+    return update((prev) => prev.filter((t) => t.id !== id));
+  }, [update]);
+
+  // Add templates read from a file. One with the same name as an existing
+  // template replaces it, so re-importing a shared file picks up its changes
+  const importTemplates = useCallback((imported) => {
+    update((prev) => {
+      const next = [...prev];
+      for (const t of imported) {
+        const existing = next.findIndex((p) => p.name === t.name);
+        const entry = {
+          ...t,
+          id: existing === -1 ? createId() : next[existing].id,
+          modifiedAt: Date.now(),
+        };
+        if (existing === -1) next.push(entry);
+        else next[existing] = entry;
+      }
+      return next;
+    });
+  }, [update]);
+
+  return { templates, saveTemplate, deleteTemplate, importTemplates };
+}
@@ -0,0 +1,215 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { useReducer, useCallback } from 'react';
+import {
+  createHistory,
+  currentEntry,
+  pushHistory,
+  jumpHistory,
+  canUndo,
+  canRedo,
+} from '../lib/history';
+import { createId } from '../lib/ids';
+
+// Accept either a value or an updater function, like useState setters
+const resolve = (valueOrFn, prev) =>
+  typeof valueOrFn === 'function' ? valueOrFn(prev) : valueOrFn;
+
+// A document is one open font with its own undo history and selection.
+// savedFont is the font as of the last explicit save or load (null if never saved);
+// libraryId links the document to its entry in the local font library
+export function createDocument(font, selection, { label = 'New font', savedFont = font, libraryId = null } = {}) {
+  return {
+    id: createId(),
+    history: createHistory(font, selection, label),
+    selection,
+    savedFont,
+    libraryId,
+  };
+}
+
+export function documentFont(doc) {
+  return currentEntry(doc.history).font;
+}
+
+export function isDocumentDirty(doc) {
+  return documentFont(doc) !== doc.savedFont;
+}
+
+// A document nobody has touched yet, which can be replaced when opening a font
+function isPristine(doc) {
+  return doc.history.entries.length === 1 && !isDocumentDirty(doc) && doc.libraryId === null;
+}
+
+function updateDocument(state, id, update) {
+  return {
+    ...state,
+    documents: state.documents.map((doc) => (doc.id === id ? update(doc) : doc)),
+  };
+}
+
+function reducer(state, action) {
+  const id = action.id ?? state.activeId;
+  switch (action.type) {
+    case 'select':
+      return updateDocument(state, id, (doc) => {
+        const selection = resolve(action.selection, doc.selection);
+        return selection === doc.selection ? doc : { ...doc, selection };
+      });
+    case 'commit':
+      return updateDocument(state, id, (doc) => {
+        const prevFont = documentFont(doc);
+        const font = action.update(prevFont);
+        const selection = action.selection !== undefined
+          ? resolve(action.selection, doc.selection)
+          : doc.selection;
+        if (font === prevFont) {
+          return selection === doc.selection ? doc : { ...doc, selection };
+        }
+        return {
+          ...doc,
+          history: pushHistory(doc.history, font, selection, action.options),
+          selection,
+        };
+      });
+    case 'jump':
+      return updateDocument(state, id, (doc) => {
+        // index may be given relative to the current entry (undo/redo)
+        const index = action.delta !== undefined ? doc.history.index + action.delta : action.index;
+        const history = jumpHistory(doc.history, index);
+        if (history === doc.history) return doc;
+        return { ...doc, history, selection: currentEntry(history).selection };
+      });
+    case 'markSaved':
+      return updateDocument(state, id, (doc) => ({
+        ...doc,
+        savedFont: action.font,
+        libraryId: action.libraryId !== undefined ? action.libraryId : doc.libraryId,
+      }));
+    case 'open': {
+      // Opening a font replaces an untouched blank tab rather than adding beside it
+      const active = state.documents.find((doc) => doc.id === state.activeId);
+      const documents = active && isPristine(active)
+        ? state.documents.map((doc) => (doc.id === active.id ? action.document : doc))
+        : [...state.documents, action.document];
+      return { documents, activeId: action.document.id };
+    }
+    case 'close': {
+      const index = state.documents.findIndex((doc) => doc.id === action.id);
+      if (index === -1) return state;
+      const documents = state.documents.filter((doc) => doc.id !== action.id);
+      if (documents.length === 0) {
+        // Always keep one document open
+        return { documents: [action.fallback], activeId: action.fallback.id };
+      }
+      const activeId = state.activeId === action.id
+        ? documents[Math.min(index, documents.length - 1)].id
+        : state.activeId;
+      return { documents, activeId };
+    }
+    case 'activate':
+      return state.documents.some((doc) => doc.id === action.id)
+        ? { ...state, activeId: action.id }
+        : state;
+    case 'replaceAll':
+      return { documents: action.documents, activeId: action.activeId };
+    default:
+      return state;
+  }
+}
+
+// Workspace of open fonts shown as tabs. The returned font, selection and history
+// belong to the active document; every font change goes through commit(), which
+// records a labelled undo entry along with the selection at that point.
+// restore may return { documents, activeIndex } to start from instead of a blank font
+export default function useWorkspace(createFont, initialSelection, restore = () => null) {
+  const [state, dispatch] = useReducer(reducer, null, () => {
+    const restored = restore();
+    if (restored) {
+      const active = restored.documents[restored.activeIndex] || restored.documents[0];
+      return { documents: restored.documents, activeId: active.id };
+    }
+    const doc = createDocument(createFont(), initialSelection);
+    return { documents: [doc], activeId: doc.id };
+  });
+
+  const activeDocument = state.documents.find((doc) => doc.id === state.activeId);
+  const { history } = activeDocument;
+
+  const setSelection = useCallback((selection) => {
+    dispatch({ type: 'select', selection });
+  }, []);
+
+  // update: (font) => font. Returning the same object records nothing.
+  // options: { label, coalesceKey, selection }
+  const commit = useCallback((update, { selection, ...options } = {}) => {
+    dispatch({
+      type: 'commit',
+      update,
+      selection,
+      options: { ...options, time: Date.now() },
+    });
+  }, []);
+
+  const jumpTo = useCallback((index) => {
+    dispatch({ type: 'jump', index });
+  }, []);
+
+  const undo = useCallback(() => {
+    dispatch({ type: 'jump', delta: -1 });
+  }, []);
+
+  const redo = useCallback(() => {
+    dispatch({ type: 'jump', delta: 1 });
+  }, []);
+
+  // Open a font in a new tab (or in place of an untouched blank tab)
+  const openDocument = useCallback((font, selection, options) => {
+    dispatch({ type: 'open', document: createDocument(font, selection, options) });
+  }, []);
+
+  const closeDocument = useCallback((id) => {
+    dispatch({ type: 'close', id, fallback: createDocument(createFont(), initialSelection) });
+  }, [createFont, initialSelection]);
+
+  const activateDocument = useCallback((id) => {
+    dispatch({ type: 'activate', id });
+  }, []);
+
+  // Record that the active document's font was explicitly saved
+  const markSaved = useCallback((font, libraryId) => {
+    dispatch({ type: 'markSaved', font, libraryId });
+  }, []);
+
+  // Replace the whole workspace, e.g. when restoring a session
+  const replaceDocuments = useCallback((documents, activeIndex = 0) => {
+    dispatch({
+      type: 'replaceAll',
+      documents,
+      activeId: (documents[activeIndex] || documents[0]).id,
+    });
+  }, []);
+
+  return {
+    documents: state.documents,
+    activeDocument,
+    font: documentFont(activeDocument),
+    selection: activeDocument.selection,
+    dirty: isDocumentDirty(activeDocument),
+    setSelection,
+    commit,
+    history,
+    undo,
+    redo,
+    jumpTo,
+    canUndo: canUndo(history),
+    canRedo: canRedo(history),
+    openDocument,
+    closeDocument,
+    activateDocument,
+    markSaved,
+    replaceDocuments,
+  };
+}
@@ -0,0 +1,73 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { ALL_SEGMENTS } from './batchOps';
+import { MICROBEAST_DIGITS } from './message';
+import { createId } from './ids';
+
+// Animations are sequences of frames for spinners, progress bars and the like,
+// stored in font.animations:
+//   { id, name, digits, frames: [{ duration, cells }] }
+// A frame has one cell per digit. A cell is { slot } to show a font character
+// or { segments } for a free segment word; duration is in milliseconds
+
+export const DEFAULT_FRAME_MS = 100;
+export const MAX_DIGITS = MICROBEAST_DIGITS;
+
+const BLANK_CELL = { segments: 0 };
+
+export const createFrame = (digits, duration = DEFAULT_FRAME_MS) => ({
+  duration,
+  cells: Array(digits).fill(BLANK_CELL),
+});
+
+export function createAnimation(name, digits = 1) {
+  return { id: createId(), name, digits, frames: [createFrame(digits)] };
+}
+
+function normalizeCell(data) {
+  if (Number.isInteger(data?.slot) && data.slot >= 0 && data.slot <= 255) return { slot: data.slot };
+  if (Number.isInteger(data?.segments)) return { segments: data.segments & ALL_SEGMENTS };
+  return BLANK_CELL;
+}
+
+// Validate animations loaded from a font file
+export function normalizeAnimations(data) {
+  if (!Array.isArray(data)) return [];
+  return data
+    .filter((a) => a && typeof a === 'object' && Array.isArray(a.frames))
+    .map((a) => {
+      const digits = Number.isInteger(a.digits) && a.digits >= 1 && a.digits <= MAX_DIGITS ? a.digits : 1;
+      return {
+        id: typeof a.id === 'string' ? a.id : createId(),
+        name: typeof a.name === 'string' && a.name ? a.name : 'Untitled',
+        digits,
+        frames: a.frames.map((f) => ({
+          duration: Number.isInteger(f?.duration) && f.duration > 0 ? f.duration : DEFAULT_FRAME_MS,
+          cells: Array.from({ length: digits }, (_, i) => normalizeCell(f?.cells?.[i])),
+        })),
+      };
+    });
+}
+
+// Change the number of digits, adding blank cells or dropping the rightmost
+export function resizeAnimation(animation, digits) {
+  return {
+    ...animation,
+    digits,
+    frames: animation.frames.map((frame) => ({
+      ...frame,
+      cells: Array.from({ length: digits }, (_, i) => frame.cells[i] ?? BLANK_CELL),
+    })),
+  };
+}
+
+// Logical segments a cell shows; a slot reference follows later edits to the font
+export function cellSegments(font, cell) {
+  if ('slot' in cell) return font.characters[cell.slot]?.segments ?? 0;
+  return cell.segments;
+}
+
+export const totalDuration = (animation) =>
+  animation.frames.reduce((sum, frame) => sum + frame.duration, 0);
@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Control character mnemonics for codes 0-31
+const CONTROL_NAMES = [
+  'NUL', 'SOH', 'STX', 'ETX', 'EOT', 'ENQ', 'ACK', 'BEL',
+  'BS', 'HT', 'LF', 'VT', 'FF', 'CR', 'SO', 'SI',
+  'DLE', 'DC1', 'DC2', 'DC3', 'DC4', 'NAK', 'SYN', 'ETB',
+  'CAN', 'EM', 'SUB', 'ESC', 'FS', 'GS', 'RS', 'US',
+];
+
+// Names for printable punctuation
+const PUNCTUATION_NAMES = {
+  ' ': 'SPACE',
+  '!': 'EXCLAIM',
+  '"': 'QUOTE',
+  '#': 'HASH',
+  '$': 'DOLLAR',
+  '%': 'PERCENT',
+  '&': 'AMPERSAND',
+  "'": 'APOSTROPHE',
+  '(': 'LPAREN',
+  ')': 'RPAREN',
+  '*': 'ASTERISK',
+  '+': 'PLUS',
+  ',': 'COMMA',
+  '-': 'MINUS',
+  '.': 'PERIOD',
+  '/': 'SLASH',
+  ':': 'COLON',
+  ';': 'SEMICOLON',
+  '<': 'LESS',
+  '=': 'EQUALS',
+  '>': 'GREATER',
+  '?': 'QUESTION',
+  '@': 'AT',
+  '[': 'LBRACKET',
+  '\\': 'BACKSLASH',
+  ']': 'RBRACKET',
+  '^': 'CARET',
+  '_': 'UNDERSCORE',
+  '`': 'BACKTICK',
+  '{': 'LBRACE',
+  '|': 'BAR',
+  '}': 'RBRACE',
+  '~': 'TILDE',
+};
+
+// Identifier-safe name for an ASCII code, e.g. 48 -> DIGIT_0, 65 -> UPPER_A,
+// 97 -> LOWER_A, 33 -> EXCLAIM. Returns null outside 0-127
+export function asciiName(code) {
+  if (code < 0 || code > 127) return null;
+  if (code < 32) return CONTROL_NAMES[code];
+  if (code === 127) return 'DEL';
+  const ch = String.fromCharCode(code);
+  if (ch >= '0' && ch <= '9') return `DIGIT_${ch}`;
+  if (ch >= 'A' && ch <= 'Z') return `UPPER_${ch}`;
+  if (ch >= 'a' && ch <= 'z') return `LOWER_${ch.toUpperCase()}`;
+  return PUNCTUATION_NAMES[ch];
+}
@@ -0,0 +1,72 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { SEGMENTS, SEGMENT_NAMES } from './segments';
+
+// Operations applied to every selected character at once. Masks are logical
+// segment words, as shown in the editor, not wired hardware bits
+
+export const ALL_SEGMENTS = SEGMENT_NAMES.reduce((bits, name) => bits | SEGMENTS[name], 0);
+
+// operand says what the operation needs: chosen segments, a mask, a pair of segments or nothing
+export const BATCH_OPERATIONS = [
+  { id: 'set', name: 'Set segments', operand: 'segments' },
+  { id: 'clear', name: 'Clear segments', operand: 'segments' },
+  { id: 'toggle', name: 'Toggle segments', operand: 'segments' },
+  { id: 'and', name: 'AND with mask', operand: 'mask' },
+  { id: 'or', name: 'OR with mask', operand: 'mask' },
+  { id: 'xor', name: 'XOR with mask', operand: 'mask' },
+  { id: 'invert', name: 'Invert', operand: null },
+  { id: 'copy', name: 'Copy one segment onto another', operand: 'pair' },
+];
+
+// Apply an operation to one segment word.
+// params: { op, mask } for segment and mask operations, { op, from, to } for copy
+export function applyBatchOp(segments, { op, mask = 0, from, to }) {
+  switch (op) {
+    case 'set':
+    case 'or':
+      return segments | mask;
+    case 'clear':
+      return segments & ~mask;
+    case 'toggle':
+    case 'xor':
+      return (segments ^ mask) & ALL_SEGMENTS;
+    case 'and':
+      return segments & mask;
+    case 'invert':
+      return ~segments & ALL_SEGMENTS;
+    case 'copy':
+      return segments & SEGMENTS[from] ? segments | SEGMENTS[to] : segments & ~SEGMENTS[to];
+    default:
+      return segments;
+  }
+}
+
+// Defined characters among indices that the operation would change.
+// Returns [{ index, before, after }] ordered by slot
+export function batchChanges(font, indices, params) {
+  return [...indices]
+    .sort((a, b) => a - b)
+    .filter((index) => font.characters[index])
+    .map((index) => {
+      const before = font.characters[index].segments;
+      return { index, before, after: applyBatchOp(before, params) };
+    })
+    .filter(({ before, after }) => before !== after);
+}
+
+// Short description for the history, e.g. "Set dp" or "XOR 0x00FF"
+export function describeBatchOp({ op, mask = 0, from, to }) {
+  const operation = BATCH_OPERATIONS.find((o) => o.id === op);
+  if (operation.operand === 'segments') {
+    const names = SEGMENT_NAMES.filter((name) => mask & SEGMENTS[name]);
+    return `${operation.name.split(' ')[0]} ${names.join(', ')}`;
+  }
+  if (operation.operand === 'mask') {
+    return `${op.toUpperCase()} 0x${mask.toString(16).toUpperCase().padStart(4, '0')}`;
+  }
+  if (op === 'copy') return `Copy ${from} onto ${to}`;
+  return operation.name;
+}
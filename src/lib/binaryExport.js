@@ -0,0 +1,149 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { applyWiring } from './wiring';
+
+// Binary exports for burning a font into ROM or loading it into RAM:
+// raw 16-bit words, Intel HEX and Motorola S-records
+
+export const BINARY_FORMATS = [
+  { id: 'bin', name: 'Raw binary', extension: 'bin' },
+  { id: 'ihex', name: 'Intel HEX', extension: 'hex' },
+  { id: 'srec', name: 'Motorola S-record', extension: 'srec' },
+];
+
+export const DEFAULT_BINARY_OPTIONS = {
+  range: 'all', // 'all' | 'defined' (up to the last defined slot) | 'selection'
+  endian: 'little',
+  address: 0,
+  fill: null, // word for empty slots; null writes a blank glyph
+};
+
+const RECORD_BYTES = 16;
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+// Validate binary options restored from storage
+export function normalizeBinaryOptions(data) {
+  if (!data || typeof data !== 'object') return DEFAULT_BINARY_OPTIONS;
+  const inRange = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+  return {
+    range: ['all', 'defined', 'selection'].includes(data.range) ? data.range : 'all',
+    endian: data.endian === 'big' ? 'big' : 'little',
+    address: inRange(data.address, 0xFFFFFFFF) ? data.address : 0,
+    fill: inRange(data.fill, 0xFFFF) ? data.fill : null,
+  };
+}
+
+// First and last slot to export; selection export covers the span of the selection
+export function exportRange(font, range, selection) {
+  if (range === 'selection' && selection?.selected.size > 0) {
+    const selected = [...selection.selected];
+    return [Math.min(...selected), Math.max(...selected)];
+  }
+  if (range === 'defined') {
+    let last = 0;
+    font.characters.forEach((char, index) => {
+      if (char !== null) last = index;
+    });
+    return [0, last];
+  }
+  return [0, 255];
+}
+
+// Hardware words for the chosen range, with empty slots filled
+export function exportWords(font, { range, fill }, selection) {
+  const [first, last] = exportRange(font, range, selection);
+  const blank = fill ?? applyWiring(0, font.wiring);
+  const words = [];
+  for (let index = first; index <= last; index++) {
+    const char = font.characters[index];
+    words.push(char ? applyWiring(char.segments, font.wiring) : blank);
+  }
+  return words;
+}
+
+export function wordsToBytes(words, endian = 'little') {
+  const bytes = new Uint8Array(words.length * 2);
+  words.forEach((word, i) => {
+    const lo = word & 0xFF;
+    const hi = (word >> 8) & 0xFF;
+    bytes[i * 2] = endian === 'big' ? hi : lo;
+    bytes[i * 2 + 1] = endian === 'big' ? lo : hi;
+  });
+  return bytes;
+}
+
+// Two's complement checksum of the low byte of the sum
+const checksum = (values) => (0x100 - (values.reduce((sum, v) => sum + v, 0) & 0xFF)) & 0xFF;
+
+// Intel HEX with data records and extended linear address records above 64K
+export function toIntelHex(bytes, address = 0) {
+  const lines = [];
+  let upper = 0;
+  const record = (type, offset, data) => {
+    const values = [data.length, (offset >> 8) & 0xFF, offset & 0xFF, type, ...data];
+    lines.push(':' + values.map((v) => hex(v, 2)).join('') + hex(checksum(values), 2));
+  };
+
+  let i = 0;
+  while (i < bytes.length) {
+    const start = address + i;
+    if ((start >>> 16) !== upper) {
+      upper = start >>> 16;
+      record(0x04, 0, [(upper >> 8) & 0xFF, upper & 0xFF]);
+    }
+    // A record may not cross a 64K boundary
+    const length = Math.min(RECORD_BYTES, bytes.length - i, 0x10000 - (start & 0xFFFF));
+    record(0x00, start & 0xFFFF, [...bytes.subarray(i, i + length)]);
+    i += length;
+  }
+  record(0x01, 0, []);
+  return lines.join('\n') + '\n';
+}
+
+// Motorola S-records using the smallest address size that fits (S1, S2 or S3)
+export function toSRecord(bytes, address = 0, header = '') {
+  const end = address + Math.max(bytes.length - 1, 0);
+  const addressBytes = end > 0xFFFFFF ? 4 : end > 0xFFFF ? 3 : 2;
+  const dataType = addressBytes - 1; // S1, S2, S3
+  const lines = [];
+  const record = (type, size, addr, data) => {
+    const addrValues = Array.from({ length: size }, (_, i) => (addr >>> ((size - 1 - i) * 8)) & 0xFF);
+    const values = [size + data.length + 1, ...addrValues, ...data];
+    lines.push(`S${type}` + values.map((v) => hex(v, 2)).join('') + hex(~values.reduce((s, v) => s + v, 0) & 0xFF, 2));
+  };
+
+  record(0, 2, 0, Array.from(header.slice(0, 64), (ch) => ch.charCodeAt(0) & 0xFF));
+  let count = 0;
+  for (let i = 0; i < bytes.length; i += RECORD_BYTES) {
+    record(dataType, addressBytes, address + i, [...bytes.subarray(i, i + RECORD_BYTES)]);
+    count++;
+  }
+  if (count <= 0xFFFF) record(5, 2, count, []);
+  record(10 - dataType, addressBytes, address, []); // S9, S8 or S7
+  return lines.join('\n') + '\n';
+}
+
+// A binary format rendered for a font: the bytes, plus the file text for the
+// record formats (null for a raw binary)
+export function binaryFile(font, formatId, options, selection) {
+  const bytes = wordsToBytes(exportWords(font, options, selection), options.endian);
+  const text = formatId === 'ihex' ? toIntelHex(bytes, options.address)
+    : formatId === 'srec' ? toSRecord(bytes, options.address, font.name)
+      : null;
+  return { bytes, text };
+}
+
+// Classic hex dump: address, 16 bytes, printable ASCII
+export function hexDump(bytes, address = 0) {
+  const lines = [];
+  for (let i = 0; i < bytes.length; i += 16) {
+    const row = [...bytes.subarray(i, i + 16)];
+    const values = row.map((b) => hex(b, 2)).join(' ').padEnd(47, ' ');
+    const ascii = row.map((b) => (b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.')).join('');
+    lines.push(`${hex(address + i, 8)}  ${values}  |${ascii}|`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,125 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Code pages give each font slot an optional Unicode code point, so firmware can
+// find the glyph for a character of a UTF-8 string. Fonts store theirs in
+// font.codePage as { id, name, codepoints } with 256 entries of number or null
+
+const range = (start, count) => Array.from({ length: count }, (_, i) => start + i);
+const fromChars = (text) => Array.from(text).map((ch) => ch.codePointAt(0));
+
+// IBM PC code page 437, with the graphic characters for 0x01-0x1F and 0x7F
+const CP437_LOW = fromChars('☺☻♥♦♣♠•◘○◙♂♀♪♫☼' +
+  '►◄↕‼¶§▬↨↑↓→←∟↔▲▼');
+const CP437_HIGH = fromChars(
+  'ÇüéâäàåçêëèïîìÄÅ' +
+  'ÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+  'áíóúñÑªº¿⌐¬½¼¡«»' +
+  '░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+  '└┴┬├─┼╞╟╚╔╩╦╠═╬╧' +
+  '╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+  'αßΓπΣσµτΦΘΩδ∞φε∩' +
+  '≡±≥≤⌠⌡÷≈°∙·√ⁿ²■ ');
+
+export const CODE_PAGES = [
+  {
+    id: 'latin1',
+    name: 'Latin-1',
+    description: 'ISO 8859-1: every slot is the code point of the same number',
+    codepoints: range(0, 256),
+  },
+  {
+    id: 'ascii',
+    name: 'ASCII',
+    description: 'Slots 0x00-0x7F only; the upper half is unmapped',
+    codepoints: [...range(0, 128), ...Array(128).fill(null)],
+  },
+  {
+    id: 'cp437',
+    name: 'CP437',
+    description: 'IBM PC code page, including the symbols in the control range',
+    codepoints: [0, ...CP437_LOW, ...range(0x20, 0x5F), 0x2302, ...CP437_HIGH],
+  },
+];
+
+// Latin-1 matches the slot-equals-character-code behaviour of fonts without a code page
+export const DEFAULT_CODE_PAGE = CODE_PAGES[0];
+
+export const MAX_CODEPOINT = 0x10FFFF;
+
+export function findCodePage(id) {
+  return CODE_PAGES.find((p) => p.id === id) || null;
+}
+
+// Copy of a code page suitable for storing in a font
+export function codePageForFont(page) {
+  return { id: page.id, name: page.name, codepoints: [...page.codepoints] };
+}
+
+const isCodepoint = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_CODEPOINT;
+
+// Validate a code page loaded from a font file, falling back to the default
+export function normalizeCodePage(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.codepoints)) {
+    return codePageForFont(DEFAULT_CODE_PAGE);
+  }
+  return {
+    id: data.id || 'custom',
+    name: data.name || 'Custom',
+    codepoints: Array.from({ length: 256 }, (_, i) =>
+      isCodepoint(data.codepoints[i]) ? data.codepoints[i] : null),
+  };
+}
+
+// Map one slot to a code point (or null to unmap it); the result is a custom page
+export function setCodepoint(codePage, index, codepoint) {
+  if (codePage.codepoints[index] === codepoint) return codePage;
+  const codepoints = [...codePage.codepoints];
+  codepoints[index] = codepoint;
+  return { id: 'custom', name: 'Custom', codepoints };
+}
+
+// "0x41" style slot label
+export function formatIndex(index) {
+  return '0x' + index.toString(16).toUpperCase().padStart(2, '0');
+}
+
+// "U+00E9" style label
+export function formatCodepoint(codepoint) {
+  return 'U+' + codepoint.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// Parse a code point typed as U+00E9, 0xE9 or the character itself.
+// Returns null for empty input and NaN if it cannot be understood
+export function parseCodepoint(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') return null;
+  const chars = Array.from(trimmed);
+  if (chars.length === 1) return chars[0].codePointAt(0);
+  const match = /^(?:U\+|0x)([0-9a-f]+)$/i.exec(trimmed);
+  const value = match ? parseInt(match[1], 16) : NaN;
+  return isCodepoint(value) ? value : NaN;
+}
+
+// The character to show for a code point, or null for controls and whitespace
+export function printableChar(codepoint) {
+  if (codepoint === null || codepoint === undefined) return null;
+  const ch = String.fromCodePoint(codepoint);
+  return /[\p{C}\p{Z}]/u.test(ch) ? null : ch;
+}
+
+// Unicode to slot lookup for the defined characters, sorted by code point.
+// Where several slots share a code point the lowest slot wins
+export function codepointLookup(font) {
+  const seen = new Map();
+  font.codePage.codepoints.forEach((codepoint, index) => {
+    if (codepoint !== null && font.characters[index] !== null && !seen.has(codepoint)) {
+      seen.set(codepoint, index);
+    }
+  });
+  return [...seen.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([codepoint, index]) => ({ codepoint, index }));
+}
@@ -0,0 +1,53 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Find glyphs that are hard to tell apart. The distance between two glyphs is
+// the number of segments lit in one but not the other (Hamming distance)
+
+export const DEFAULT_MAX_DISTANCE = 1;
+
+export function segmentDistance(a, b) {
+  let diff = a ^ b;
+  let count = 0;
+  while (diff) {
+    diff &= diff - 1;
+    count++;
+  }
+  return count;
+}
+
+// Compare every pair of defined slots.
+// Returns { slots, distances, duplicates, pairs } where slots lists the compared
+// indices, distances[i][j] is the distance between slots[i] and slots[j],
+// duplicates groups slots with identical glyphs and pairs lists [{ a, b, distance }]
+// for distinct glyphs within maxDistance, closest first
+export function analyseConfusability(font, { maxDistance = DEFAULT_MAX_DISTANCE, ignoreBlank = true } = {}) {
+  const slots = [];
+  font.characters.forEach((char, index) => {
+    if (char !== null && !(ignoreBlank && char.segments === 0)) slots.push(index);
+  });
+  const segments = slots.map((index) => font.characters[index].segments);
+
+  const distances = slots.map((_, i) => slots.map((__, j) => segmentDistance(segments[i], segments[j])));
+
+  const groups = new Map();
+  slots.forEach((index, i) => {
+    groups.set(segments[i], [...(groups.get(segments[i]) || []), index]);
+  });
+  const duplicates = [...groups.values()].filter((group) => group.length > 1);
+
+  const pairs = [];
+  for (let i = 0; i < slots.length; i++) {
+    for (let j = i + 1; j < slots.length; j++) {
+      const distance = distances[i][j];
+      if (distance > 0 && distance <= maxDistance) {
+        pairs.push({ a: slots[i], b: slots[j], distance });
+      }
+    }
+  }
+  pairs.sort((p, q) => p.distance - q.distance || p.a - q.a || p.b - q.b);
+
+  return { slots, distances, duplicates, pairs };
+}
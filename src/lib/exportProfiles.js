@@ -0,0 +1,123 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import presets from '../presets.json';
+import { BINARY_FORMATS, DEFAULT_BINARY_OPTIONS, normalizeBinaryOptions, binaryFile } from './binaryExport';
+import { templateContext, renderTemplate, safeFileName } from './exportTemplate';
+import { loadStored, storeStored } from './storage';
+
+// Export profiles kept in localStorage: several exports of one font downloaded
+// together as a zip. [{ id, name, files, binary, includeFont, includeManifest, modifiedAt }]
+// Each file is { source, fileName }, where source is a built-in preset, user
+// template or binary format id and fileName is a template such as {{nameLower}}.h.
+// binary holds the options used for every binary format in the profile
+const PROFILES_KEY = 'microbeast-font-editor:profiles';
+
+// Validate one profile from storage; returns null if unusable
+export function normalizeProfile(data) {
+  if (!data || typeof data !== 'object' || typeof data.id !== 'string') return null;
+  const files = Array.isArray(data.files) ? data.files : [];
+  return {
+    id: data.id,
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Untitled profile',
+    files: files
+      .filter((f) => f && typeof f.source === 'string')
+      .map((f) => ({ source: f.source, fileName: typeof f.fileName === 'string' ? f.fileName : '' })),
+    binary: normalizeBinaryOptions(data.binary),
+    includeFont: data.includeFont !== false,
+    includeManifest: data.includeManifest !== false,
+    modifiedAt: data.modifiedAt || 0,
+  };
+}
+
+export function loadProfiles() {
+  return loadStored(PROFILES_KEY, (data) => {
+    if (!Array.isArray(data)) return [];
+    return data.map(normalizeProfile).filter(Boolean);
+  }, [], 'export profiles');
+}
+
+// Returns false if storage is unavailable or full
+export function storeProfiles(profiles) {
+  return storeStored(PROFILES_KEY, profiles, 'export profiles');
+}
+
+// What a profile file is made from: { kind: 'preset'|'template'|'binary', name, extension },
+// or null if the preset or template no longer exists
+export function findSource(id, userTemplates) {
+  const format = BINARY_FORMATS.find((f) => f.id === id);
+  if (format) return { kind: 'binary', name: format.name, extension: format.extension };
+  const preset = presets.presets.find((p) => p.id === id);
+  if (preset) return { kind: 'preset', name: preset.name, extension: preset.extension, template: preset.template };
+  const template = userTemplates.find((t) => t.id === id);
+  if (template) return { kind: 'template', name: template.name, extension: template.extension, template: template.template };
+  return null;
+}
+
+export const defaultFileName = (extension) => `{{nameLower}}.${extension}`;
+
+// Render one file from a source found by findSource. Returns { data, error }
+// where data is text, or bytes for a raw binary. Shared with the command-line
+// export so both write the same bytes
+export function renderSource(font, id, source, { context = templateContext(font), binary = DEFAULT_BINARY_OPTIONS, selection } = {}) {
+  if (source.kind === 'binary') {
+    const { bytes, text } = binaryFile(font, id, binary, selection);
+    return { data: text ?? bytes, error: null };
+  }
+  const { output, error } = renderTemplate(source.template, context);
+  return { data: output, error };
+}
+
+// Render every file of a profile for a font. Returns { files: [{ name, data }], errors }
+// where data is text or bytes, ready for createZip; errors name the files that failed
+export function buildBundle(font, profile, { userTemplates, selection, date = new Date() }) {
+  const context = templateContext(font);
+  const files = [];
+  const errors = [];
+  const manifest = [];
+  const taken = new Set();
+
+  const add = (name, data, source) => {
+    if (taken.has(name)) {
+      errors.push(`${name}: more than one file has this name`);
+      return;
+    }
+    taken.add(name);
+    files.push({ name, data });
+    manifest.push({ name, source, bytes: typeof data === 'string' ? new TextEncoder().encode(data).length : data.length });
+  };
+
+  profile.files.forEach(({ source: id, fileName }, i) => {
+    const source = findSource(id, userTemplates);
+    if (!source) {
+      errors.push(`File ${i + 1}: its template no longer exists`);
+      return;
+    }
+    const rendered = renderTemplate(fileName || defaultFileName(source.extension), context);
+    const name = rendered.output.trim();
+    if (rendered.error || !name) {
+      errors.push(`File ${i + 1}: bad file name${rendered.error ? ` (${rendered.error})` : ''}`);
+      return;
+    }
+    const { data, error } = renderSource(font, id, source, { context, binary: profile.binary, selection });
+    if (error) {
+      errors.push(`${name}: ${error}`);
+      return;
+    }
+    add(name, data, source.name);
+  });
+
+  if (profile.includeFont) {
+    add(`${safeFileName(font.name)}.json`, JSON.stringify(font, null, 2), 'Font');
+  }
+  if (profile.includeManifest) {
+    add('manifest.json', JSON.stringify({
+      font: font.name,
+      profile: profile.name,
+      generated: date.toISOString(),
+      files: manifest,
+    }, null, 2) + '\n', 'Manifest');
+  }
+  return { files, errors };
+}
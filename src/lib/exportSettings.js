@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import presets from '../presets.json';
+import { BINARY_FORMATS, DEFAULT_BINARY_OPTIONS, normalizeBinaryOptions } from './binaryExport';
+
+// Export dialog settings. These live in App so they survive closing the dialog.
+// A saved user template is edited as the custom template, linked by customTemplateId.
+// format is 'text' for templates or one of the binary formats
+export const DEFAULT_EXPORT_SETTINGS = {
+  format: 'text',
+  selectedPreset: presets.presets[0].id,
+  customTemplate: '',
+  customExtension: 'txt',
+  customTemplateId: null,
+  useCustom: false,
+  binary: DEFAULT_BINARY_OPTIONS,
+};
+
+// Validate settings restored from storage
+export function normalizeExportSettings(data) {
+  if (!data || typeof data !== 'object') return DEFAULT_EXPORT_SETTINGS;
+  return {
+    format: BINARY_FORMATS.some((f) => f.id === data.format) ? data.format : 'text',
+    selectedPreset: presets.presets.some((p) => p.id === data.selectedPreset)
+      ? data.selectedPreset
+      : DEFAULT_EXPORT_SETTINGS.selectedPreset,
+    customTemplate: typeof data.customTemplate === 'string' ? data.customTemplate : '',
+    customExtension: typeof data.customExtension === 'string' ? data.customExtension : 'txt',
+    customTemplateId: typeof data.customTemplateId === 'string' ? data.customTemplateId : null,
+    useCustom: !!data.useCustom,
+    binary: normalizeBinaryOptions(data.binary),
+  };
+}
+
+// Settings that select a binary format, built-in preset or user template by id.
+// Returns the settings unchanged if the id is not found
+export function selectTemplate(settings, id, userTemplates) {
+  if (BINARY_FORMATS.some((f) => f.id === id)) {
+    return { ...settings, format: id };
+  }
+  if (presets.presets.some((p) => p.id === id)) {
+    return { ...settings, format: 'text', useCustom: false, selectedPreset: id };
+  }
+  const template = userTemplates.find((t) => t.id === id);
+  if (!template) return settings;
+  return {
+    ...settings,
+    format: 'text',
+    useCustom: true,
+    customTemplate: template.template,
+    customExtension: template.extension,
+    customTemplateId: template.id,
+  };
+}
+
+// Id of the selected binary format or template, or null for an unsaved custom template
+export function selectedTemplateId(settings) {
+  if (settings.format !== 'text') return settings.format;
+  return settings.useCustom ? settings.customTemplateId : settings.selectedPreset;
+}
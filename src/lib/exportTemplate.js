@@ -0,0 +1,109 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import Handlebars from 'handlebars';
+import { applyWiring, wordBits } from './wiring';
+import { codepointLookup } from './codePages';
+import { generatedName } from './symbols';
+import { cellSegments, totalDuration } from './animations';
+
+// Register Handlebars helpers
+// bin pads to the word width of the font's wiring profile (15 or 16 bits)
+Handlebars.registerHelper('bin', (value, options) => {
+  const num = value ?? 0;
+  const width = options?.data?.root?.wordBits ?? 15;
+  return num.toString(2).padStart(width, '0');
+});
+
+Handlebars.registerHelper('hex', (value) => {
+  const num = value ?? 0;
+  return num.toString(16).toUpperCase().padStart(4, '0');
+});
+
+// Comparison helpers
+Handlebars.registerHelper('lte', (a, b) => a <= b);
+Handlebars.registerHelper('gte', (a, b) => a >= b);
+Handlebars.registerHelper('lt', (a, b) => a < b);
+Handlebars.registerHelper('gt', (a, b) => a > b);
+Handlebars.registerHelper('eq', (a, b) => a === b);
+
+// Font name reduced to characters that are safe in file names and identifiers
+export const safeFileName = (name) => name.replace(/[^a-z0-9]/gi, '_');
+
+// Context the export templates are rendered with
+export function templateContext(font) {
+  const safeName = safeFileName(font.name);
+
+  // Find last defined index and count
+  let lastDefinedIndex = -1;
+  let definedCount = 0;
+  font.characters.forEach((char, index) => {
+    if (char !== null) {
+      lastDefinedIndex = index;
+      definedCount++;
+    }
+  });
+
+  const charName = (index) => font.characters[index]?.name || generatedName(index);
+  const charFor = (codepoint) => (codepoint !== null ? String.fromCodePoint(codepoint) : '');
+
+  // Segment words are translated to hardware bits by the wiring profile
+  const lookup = codepointLookup(font);
+  return {
+    name: font.name,
+    nameUpper: safeName.toUpperCase(),
+    nameLower: safeName.toLowerCase(),
+    lastDefinedIndex,
+    definedCount,
+    wiring: font.wiring.name,
+    wordBits: wordBits(font.wiring),
+    codePage: font.codePage.name,
+    characters: font.characters.map((char, index) => ({
+      index,
+      defined: char !== null,
+      segments: applyWiring(char?.segments ?? 0, font.wiring),
+      logicalSegments: char?.segments ?? 0,
+      name: charName(index),
+      codepoint: font.codePage.codepoints[index],
+      char: charFor(font.codePage.codepoints[index]),
+    })),
+    lookupCount: lookup.length,
+    lookup: lookup.map(({ codepoint, index }) => ({
+      codepoint,
+      index,
+      name: charName(index),
+      char: charFor(codepoint),
+    })),
+    // Animation frames carry one wired segment word per digit
+    animationCount: font.animations.length,
+    animations: font.animations.map((animation) => ({
+      name: animation.name,
+      nameUpper: safeFileName(animation.name).toUpperCase(),
+      nameLower: safeFileName(animation.name).toLowerCase(),
+      digits: animation.digits,
+      frameCount: animation.frames.length,
+      duration: totalDuration(animation),
+      frames: animation.frames.map((frame, index) => ({
+        index,
+        duration: frame.duration,
+        cells: frame.cells.map((cell) => ({
+          segments: applyWiring(cellSegments(font, cell), font.wiring),
+          logicalSegments: cellSegments(font, cell),
+          slot: cell.slot ?? null,
+          name: 'slot' in cell ? charName(cell.slot) : null,
+        })),
+      })),
+    })),
+  };
+}
+
+// Compile and render a template. Returns { output, error }
+export function renderTemplate(template, context) {
+  try {
+    const compiled = Handlebars.compile(template);
+    return { output: compiled(context), error: null };
+  } catch (e) {
+    return { output: '', error: e.message };
+  }
+}
@@ -0,0 +1,49 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { DEFAULT_WIRING, wiringForFont, normalizeWiring } from './wiring';
+import { DEFAULT_CODE_PAGE, codePageForFont, normalizeCodePage } from './codePages';
+import { normalizeAnimations } from './animations';
+
+// Create an empty font with 256 slots (16x16)
+// Starts with a blank character at index 0 ready for editing
+export function createEmptyFont(name = 'Untitled Font') {
+  const characters = Array(256).fill(null);
+  characters[0] = { segments: 0, name: null };
+  return {
+    name,
+    characters,
+    wiring: wiringForFont(DEFAULT_WIRING),
+    codePage: codePageForFont(DEFAULT_CODE_PAGE),
+    exportTemplate: null,
+    animations: [],
+  };
+}
+
+// Validate and normalize font data loaded from a file or storage
+export function normalizeFont(data, defaultName = 'Loaded Font') {
+  const characters = Array(256).fill(null);
+  if (data.characters) {
+    data.characters.forEach((char, idx) => {
+      if (idx < 256 && char !== null) {
+        characters[idx] = {
+          segments: char.segments || 0,
+          name: char.name || null,
+        };
+      }
+    });
+  }
+  // Ensure character 0 is always defined
+  if (characters[0] === null) {
+    characters[0] = { segments: 0, name: null };
+  }
+  return {
+    name: data.name || defaultName,
+    characters,
+    wiring: normalizeWiring(data.wiring),
+    codePage: normalizeCodePage(data.codePage),
+    exportTemplate: typeof data.exportTemplate === 'string' ? data.exportTemplate : null,
+    animations: normalizeAnimations(data.animations),
+  };
+}
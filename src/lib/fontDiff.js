@@ -0,0 +1,46 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Slot by slot comparison of two fonts.
+// status is 'added' or 'removed' when only one font defines the slot, otherwise
+// changes lists what differs: 'segments' and/or 'name'
+
+export const DIFF_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  segments: 'Segments changed',
+  name: 'Renamed',
+};
+
+// Returns [{ index, status, changes, current, other }] for the slots that differ,
+// where status is 'added', 'removed' or 'changed'
+export function diffFonts(current, other) {
+  const diffs = [];
+  for (let index = 0; index < 256; index++) {
+    const a = current.characters[index];
+    const b = other.characters[index];
+    if (a === null && b === null) continue;
+
+    if (a === null || b === null) {
+      diffs.push({ index, status: a === null ? 'added' : 'removed', changes: [], current: a, other: b });
+      continue;
+    }
+
+    const changes = [];
+    if (a.segments !== b.segments) changes.push('segments');
+    if ((a.name || null) !== (b.name || null)) changes.push('name');
+    if (changes.length > 0) {
+      diffs.push({ index, status: 'changed', changes, current: a, other: b });
+    }
+  }
+  return diffs;
+}
+
+// Short description of one difference, e.g. "Segments changed, Renamed"
+export function describeDiff(diff) {
+  return diff.status === 'changed'
+    ? diff.changes.map((change) => DIFF_LABELS[change]).join(', ')
+    : DIFF_LABELS[diff.status];
+}
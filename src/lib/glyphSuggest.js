@@ -0,0 +1,136 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { SEGMENTS } from './segments';
+import { segmentGeometry } from './segmentGeometry';
+
+// Suggest glyphs by rasterising a character from a typeface onto an offscreen
+// canvas and measuring how much of each segment shape it covers
+
+export const SUGGEST_SIZE = 64; // digit size used for rasterising and scoring
+export const DEFAULT_THRESHOLD = 0.45;
+
+export const SUGGEST_TYPEFACES = [
+  'sans-serif',
+  'serif',
+  'monospace',
+  'Arial',
+  'Helvetica',
+  'Verdana',
+  'Courier New',
+  'Consolas',
+  'DejaVu Sans',
+  'DejaVu Sans Mono',
+];
+
+const ALPHA_ON = 128; // a pixel counts as inked at or above this alpha
+
+let cachedMasks = null;
+
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// Canvas size and per-segment pixel lists for the scoring geometry, computed once
+function segmentMasks() {
+  if (cachedMasks) return cachedMasks;
+
+  const geometry = segmentGeometry(SUGGEST_SIZE);
+  const width = Math.ceil(geometry.width + geometry.dpSize * 2);
+  const height = Math.ceil(geometry.height);
+  const ctx = createCanvas(width, height).getContext('2d');
+
+  const shapes = {};
+  for (const [name, seg] of Object.entries(geometry.segments)) {
+    shapes[name] = new Path2D(seg.d);
+  }
+  shapes.dp = new Path2D();
+  shapes.dp.arc(geometry.dp.cx, geometry.dp.cy, geometry.dp.r, 0, Math.PI * 2);
+
+  const pixels = {};
+  for (const [name, shape] of Object.entries(shapes)) {
+    pixels[name] = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (ctx.isPointInPath(shape, x + 0.5, y + 0.5)) pixels[name].push(y * width + x);
+      }
+    }
+  }
+
+  cachedMasks = { geometry, width, height, pixels };
+  return cachedMasks;
+}
+
+// CSS font shorthand for a typeface; family names with spaces are quoted
+export function typefaceFont(typeface, px) {
+  const family = /^[\w-]+$/.test(typeface.family) ? typeface.family : `"${typeface.family}"`;
+  return `${typeface.weight} ${px}px ${family}`;
+}
+
+// Make sure a typeface is ready to draw; generic and installed families resolve immediately
+export async function loadTypeface(typeface) {
+  if (document.fonts) {
+    await document.fonts.load(typefaceFont(typeface, SUGGEST_SIZE));
+  }
+}
+
+// Rasterise one character and score each segment by the fraction of its pixels
+// that are inked. Capitals fill the digit from the top to the bottom segment,
+// all characters share the horizontal scale that makes 'M' fill the width.
+// Returns { scores: { a: 0..1, ... }, image } where image is a data URL of the raster
+export function scoreCharacter(ch, typeface) {
+  const { geometry, width, height, pixels } = segmentMasks();
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  const pad = geometry.width * 0.05;
+  const boxLeft = pad;
+  const boxWidth = geometry.width - pad * 2;
+  const boxTop = pad;
+  const boxBottom = geometry.height - pad - geometry.dpSize;
+
+  // Measure at a reference size, then scale so the cap height spans the box
+  const refSize = 100;
+  ctx.font = typefaceFont(typeface, refSize);
+  const capHeight = ctx.measureText('H').actualBoundingBoxAscent || refSize * 0.7;
+  const px = refSize * (boxBottom - boxTop) / capHeight;
+  ctx.font = typefaceFont(typeface, px);
+  const widest = ctx.measureText('M');
+  const inkWidth = widest.actualBoundingBoxLeft + widest.actualBoundingBoxRight || widest.width;
+  const scaleX = boxWidth / inkWidth;
+
+  // Centre the character's ink in the box
+  const metrics = ctx.measureText(ch);
+  const left = -metrics.actualBoundingBoxLeft;
+  const inkCentre = (left + metrics.actualBoundingBoxRight) / 2;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.textBaseline = 'alphabetic';
+  ctx.save();
+  ctx.translate(boxLeft + boxWidth / 2, boxBottom);
+  ctx.scale(scaleX, 1);
+  ctx.fillText(ch, -inkCentre, 0);
+  ctx.restore();
+
+  const data = ctx.getImageData(0, 0, width, height).data;
+  const scores = {};
+  for (const [name, list] of Object.entries(pixels)) {
+    const inked = list.filter((i) => data[i * 4 + 3] >= ALPHA_ON).length;
+    scores[name] = list.length > 0 ? inked / list.length : 0;
+  }
+
+  return { scores, image: canvas.toDataURL() };
+}
+
+// Light every segment whose coverage reaches the threshold
+export function suggestSegments(scores, threshold = DEFAULT_THRESHOLD) {
+  let segments = 0;
+  for (const [name, score] of Object.entries(scores)) {
+    if (score >= threshold) segments |= SEGMENTS[name];
+  }
+  return segments;
+}
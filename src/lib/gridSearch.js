@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { SEGMENTS } from './segments';
+import { parseLiteral } from './sourceImport';
+
+// Finding characters in the grid. A search is { mode, text, predicate, display },
+// where display is 'highlight' (mark matches) or 'filter' (hide the rest)
+
+export const SEARCH_MODES = [
+  { id: 'name', name: 'Name contains' },
+  { id: 'regex', name: 'Name matches regex' },
+  { id: 'index', name: 'Index' },
+  { id: 'word', name: 'Segment word' },
+  { id: 'predicate', name: 'Characters that' },
+];
+
+const DIAGONALS = SEGMENTS.h | SEGMENTS.k | SEGMENTS.l | SEGMENTS.n;
+
+export const SEARCH_PREDICATES = [
+  { id: 'dp', name: 'have the decimal point', test: (char) => !!char && (char.segments & SEGMENTS.dp) !== 0 },
+  { id: 'diagonal', name: 'use diagonal segments', test: (char) => !!char && (char.segments & DIAGONALS) !== 0 },
+  { id: 'unnamed', name: 'are defined but unnamed', test: (char) => !!char && !char.name },
+  { id: 'blank', name: 'are defined but blank', test: (char) => !!char && char.segments === 0 },
+  { id: 'empty', name: 'are empty slots', test: (char) => char === null },
+];
+
+export const DEFAULT_SEARCH = { mode: 'name', text: '', predicate: 'dp', display: 'highlight' };
+
+const validIndex = (value) => Number.isInteger(value) && value >= 0 && value <= 255;
+
+// Index searches take one slot or a range, in hex (0x41, $41, #41) or decimal:
+// "0x41", "65", "0x30-0x39"
+function indexTest(text) {
+  const [first, last = first] = text.split(/\s*(?:-|\.\.)\s*/).map(parseLiteral);
+  if (!validIndex(first) || !validIndex(last)) throw new Error('Enter an index or a range such as 0x30-0x39');
+  return (char, index) => index >= Math.min(first, last) && index <= Math.max(first, last);
+}
+
+function wordTest(text) {
+  const value = parseLiteral(text);
+  if (!Number.isInteger(value) || value < 0 || value > 0xFFFF) throw new Error('Enter a segment word such as 0x4000');
+  return (char) => !!char && char.segments === value;
+}
+
+function regexTest(text) {
+  let pattern;
+  try {
+    pattern = new RegExp(text, 'i');
+  } catch {
+    throw new Error('Invalid regular expression');
+  }
+  return (char) => !!char?.name && pattern.test(char.name);
+}
+
+// Slots matching a search. Returns { matches: Set of indices, or null when the
+// search is empty, error }
+export function searchFont(font, search) {
+  const text = search.text.trim();
+  if (search.mode !== 'predicate' && text === '') return { matches: null, error: null };
+
+  let test;
+  try {
+    if (search.mode === 'predicate') {
+      test = SEARCH_PREDICATES.find((p) => p.id === search.predicate).test;
+    } else if (search.mode === 'index') {
+      test = indexTest(text);
+    } else if (search.mode === 'word') {
+      test = wordTest(text);
+    } else if (search.mode === 'regex') {
+      test = regexTest(text);
+    } else {
+      const needle = text.toLowerCase();
+      test = (char) => !!char?.name && char.name.toLowerCase().includes(needle);
+    }
+  } catch (err) {
+    return { matches: null, error: err.message };
+  }
+
+  const matches = new Set();
+  font.characters.forEach((char, index) => {
+    if (test(char, index)) matches.add(index);
+  });
+  return { matches, error: null };
+}
@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Maximum number of entries kept in the history stack
+export const MAX_HISTORY = 200;
+
+// Consecutive edits with the same coalesce key within this window merge into one entry
+export const COALESCE_WINDOW_MS = 1500;
+
+// Create a history containing a single entry for the given font
+export function createHistory(font, selection, label = 'Open font') {
+  return {
+    entries: [{ label, font, selection, coalesceKey: null, time: 0 }],
+    index: 0,
+  };
+}
+
+// Get the entry the history currently points at
+export function currentEntry(history) {
+  return history.entries[history.index];
+}
+
+export function canUndo(history) {
+  return history.index > 0;
+}
+
+export function canRedo(history) {
+  return history.index < history.entries.length - 1;
+}
+
+// Record a new font state. Any redo entries beyond the current index are discarded.
+// If coalesceKey matches the newest entry and it is recent, that entry is updated in place
+export function pushHistory(history, font, selection, { label, coalesceKey = null, time = 0 } = {}) {
+  const entries = history.entries.slice(0, history.index + 1);
+  const last = entries[entries.length - 1];
+
+  if (
+    coalesceKey !== null &&
+    history.index > 0 &&
+    history.index === history.entries.length - 1 &&
+    last.coalesceKey === coalesceKey &&
+    time - last.time < COALESCE_WINDOW_MS
+  ) {
+    entries[entries.length - 1] = { ...last, font, selection, time };
+    return { entries, index: entries.length - 1 };
+  }
+
+  entries.push({ label, font, selection, coalesceKey, time });
+  const overflow = Math.max(0, entries.length - MAX_HISTORY);
+  const trimmed = overflow > 0 ? entries.slice(overflow) : entries;
+  return { entries: trimmed, index: trimmed.length - 1 };
+}
+
+// Move to an arbitrary entry (used by undo, redo and the history panel)
+export function jumpHistory(history, index) {
+  if (index < 0 || index >= history.entries.length || index === history.index) {
+    return history;
+  }
+  return { ...history, index };
+}
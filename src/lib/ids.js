@@ -0,0 +1,9 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Short unique id for workspace documents and library entries
+export function createId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
@@ -0,0 +1,28 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { normalizeFont } from './font';
+import { loadStored, storeStored } from './storage';
+
+// Local font library in localStorage: [{ id, name, font, modifiedAt }]
+const LIBRARY_KEY = 'microbeast-font-editor:library';
+
+export function loadLibrary() {
+  return loadStored(LIBRARY_KEY, (data) => {
+    if (!Array.isArray(data)) return [];
+    return data
+      .filter((entry) => entry && entry.id && entry.font)
+      .map((entry) => ({
+        id: entry.id,
+        name: entry.name || entry.font.name || 'Untitled Font',
+        font: normalizeFont(entry.font),
+        modifiedAt: entry.modifiedAt || 0,
+      }));
+  }, [], 'font library');
+}
+
+// Returns false if storage is unavailable or full
+export function storeLibrary(entries) {
+  return storeStored(LIBRARY_KEY, entries, 'font library');
+}
@@ -0,0 +1,42 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// The MicroBeast front panel has 24 digits
+export const MICROBEAST_DIGITS = 24;
+
+// Map each character of a message to a font slot through the font's code page.
+// Returns [{ ch, slot, segments, defined }]; slot is null if there is no slot for ch
+export function messageToCells(text, font) {
+  const slots = new Map();
+  font.codePage.codepoints.forEach((codepoint, index) => {
+    // Prefer a defined slot when several share a code point
+    if (codepoint !== null && (!slots.has(codepoint) || font.characters[slots.get(codepoint)] === null)) {
+      slots.set(codepoint, index);
+    }
+  });
+  return Array.from(text).map((ch) => {
+    const slot = slots.get(ch.codePointAt(0)) ?? null;
+    const char = slot !== null ? font.characters[slot] : null;
+    return {
+      ch,
+      slot,
+      segments: char?.segments ?? 0,
+      defined: char != null,
+    };
+  });
+}
+
+// Segment words for one frame of the display.
+// offset scrolls the message (positive moves it left, negative right); it wraps
+// through the message followed by a blank screen
+export function displayFrame(cells, digits, offset = 0) {
+  const frame = Array(digits).fill(0);
+  const length = cells.length + digits;
+  for (let i = 0; i < digits; i++) {
+    const pos = (((i + offset) % length) + length) % length;
+    frame[i] = pos < cells.length ? cells[pos].segments : 0;
+  }
+  return frame;
+}
@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { printableChar } from './codePages';
+
+// Bulk renaming with patterns such as DIGIT_{n}, SEG_{hex} or LETTER_{ascii:upper}.
+// A token is {field} or {field:modifier}; modifiers are upper, lower or a width
+// to zero-pad numbers to
+
+export const RENAME_FIELDS = [
+  { id: 'n', description: 'Position in the selection, counting from the start number' },
+  { id: 'index', description: 'Slot index in decimal' },
+  { id: 'hex', description: 'Slot index as two hex digits' },
+  { id: 'ascii', description: 'The character the slot is mapped to in the code page' },
+  { id: 'name', description: 'The current name' },
+];
+
+const TOKEN = /\{(\w+)(?::(\w+))?\}/g;
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Check a pattern's tokens; returns an error message or null
+export function checkPattern(pattern) {
+  for (const [, field, modifier] of pattern.matchAll(TOKEN)) {
+    if (!RENAME_FIELDS.some((f) => f.id === field)) return `Unknown field {${field}}`;
+    if (modifier && !['upper', 'lower'].includes(modifier) && !/^\d+$/.test(modifier)) {
+      return `Unknown modifier :${modifier}`;
+    }
+  }
+  return null;
+}
+
+// Fill in a pattern; null if a field has no value for this slot
+export function renderPattern(pattern, values) {
+  let missing = false;
+  const result = pattern.replace(TOKEN, (token, field, modifier) => {
+    let value = values[field];
+    if (value === null || value === undefined || value === '') {
+      missing = true;
+      return '';
+    }
+    value = String(value);
+    if (modifier === 'upper') return value.toUpperCase();
+    if (modifier === 'lower') return value.toLowerCase();
+    if (modifier) return value.padStart(parseInt(modifier, 10), '0');
+    return value;
+  });
+  return missing ? null : result;
+}
+
+// Work out the new names for the defined characters among indices.
+// Returns rows [{ index, before, after, problem }] ordered by slot, where problem
+// is null or { kind, message }. 'skip', 'missing', 'duplicate' and 'taken' rows are
+// not renamed; 'identifier' is a warning only
+export function planRename(font, indices, { pattern, start = 0, onlyUnnamed = false }) {
+  const sorted = [...indices].filter((index) => font.characters[index]).sort((a, b) => a - b);
+  const rows = sorted.map((index, position) => {
+    const before = font.characters[index].name;
+    if (onlyUnnamed && before) {
+      return { index, before, after: before, problem: { kind: 'skip', message: 'Already named' } };
+    }
+    const after = renderPattern(pattern, {
+      n: start + position,
+      index,
+      hex: index.toString(16).toUpperCase().padStart(2, '0'),
+      ascii: printableChar(font.codePage.codepoints[index]),
+      name: before,
+    });
+    if (!after) {
+      return { index, before, after: null, problem: { kind: 'missing', message: 'A field has no value for this slot' } };
+    }
+    return { index, before, after, problem: null };
+  });
+
+  // Names must stay unique: within the batch and against slots that keep their names
+  const renamed = new Set(rows.filter((r) => !r.problem).map((r) => r.index));
+  const kept = new Map();
+  font.characters.forEach((char, index) => {
+    if (char?.name && !renamed.has(index)) kept.set(char.name, index);
+  });
+  const counts = new Map();
+  rows.forEach((r) => !r.problem && counts.set(r.after, (counts.get(r.after) ?? 0) + 1));
+
+  return rows.map((row) => {
+    if (row.problem) return row;
+    const hex = (index) => `0x${index.toString(16).toUpperCase().padStart(2, '0')}`;
+    if (kept.has(row.after)) {
+      return { ...row, problem: { kind: 'taken', message: `Already used by ${hex(kept.get(row.after))}` } };
+    }
+    if (counts.get(row.after) > 1) {
+      return { ...row, problem: { kind: 'duplicate', message: 'Given to more than one slot' } };
+    }
+    if (!IDENTIFIER.test(row.after)) {
+      return { ...row, problem: { kind: 'identifier', message: 'Not a valid identifier for assembler or C exports' } };
+    }
+    return row;
+  });
+}
+
+// Rows that will be renamed
+export const appliedRows = (rows) =>
+  rows.filter((r) => (!r.problem || r.problem.kind === 'identifier') && r.after !== r.before);
@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Geometry of a single 14-segment digit, shared by SegmentDisplay and anything
+// that needs the exact segment shapes (e.g. scoring a rasterised character).
+// Returns { width, height, dpSize, segments: { a: { d, name }, ... }, dp: { cx, cy, r } }
+export function segmentGeometry(size) {
+  const width = size;
+  const height = size * 1.54;
+  const dpSize = size * 0.1;
+
+  // Calculate dimensions
+  const segmentThickness = size * 0.08;
+  const padding = size * 0.05;
+  const innerWidth = width - padding * 2;
+  const innerHeight = height - padding * 2 - dpSize;
+
+  const centerX = width / 2;
+  const centerY = padding + innerHeight / 2;
+
+  const halfWidth = innerWidth / 2 - segmentThickness;
+  const halfHeight = innerHeight / 2 - segmentThickness;
+
+  const t = segmentThickness;
+  const ht = t / 2;
+
+  // Horizontal segment (full width)
+  const hSegment = (x, y, w) => {
+    return `M ${x + ht} ${y} L ${x + w - ht} ${y} L ${x + w} ${y + ht} L ${x + w - ht} ${y + t} L ${x + ht} ${y + t} L ${x} ${y + ht} Z`;
+  };
+
+  // Horizontal segment (half width)
+  const hHalfSegment = (x, y, w, isLeft) => {
+    if (isLeft) {
+      return `M ${x + ht} ${y} L ${x + w} ${y} L ${x + w} ${y + t} L ${x + ht} ${y + t} L ${x} ${y + ht} Z`;
+    } else {
+      return `M ${x} ${y} L ${x + w - ht} ${y} L ${x + w} ${y + ht} L ${x + w - ht} ${y + t} L ${x} ${y + t} Z`;
+    }
+  };
+
+  // Vertical segment
+  const vSegment = (x, y, h) => {
+    return `M ${x + ht} ${y} L ${x + t} ${y + ht} L ${x + t} ${y + h - ht} L ${x + ht} ${y + h} L ${x} ${y + h - ht} L ${x} ${y + ht} Z`;
+  };
+
+  // Diagonal segment (for h, k, n, l)
+  const diagonalSegment = (x1, y1, x2, y2) => {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const len = Math.sqrt(dx * dx + dy * dy);
+    const nx = -dy / len * (t * 0.4);
+    const ny = dx / len * (t * 0.4);
+
+    return `M ${x1 + nx} ${y1 + ny} L ${x2 + nx} ${y2 + ny} L ${x2 - nx} ${y2 - ny} L ${x1 - nx} ${y1 - ny} Z`;
+  };
+
+  const left = padding;
+  const right = width - padding - t;
+  const top = padding;
+  const bottom = height - padding - dpSize - t;
+  const mid = centerY - ht;
+
+  const innerLeft = left + t + ht;
+  const innerRight = right - ht;
+  const innerTop = top + t + ht;
+  const innerBottom = bottom - ht;
+  const innerMidTop = mid - ht;
+  const innerMidBottom = mid + t + ht;
+
+  const segments = {
+    a: { d: hSegment(left + t, top, innerWidth - t * 2), name: 'a' },
+    b: { d: vSegment(right, top + t, halfHeight), name: 'b' },
+    c: { d: vSegment(right, centerY + ht, halfHeight), name: 'c' },
+    d: { d: hSegment(left + t, bottom, innerWidth - t * 2), name: 'd' },
+    e: { d: vSegment(left, centerY + ht, halfHeight), name: 'e' },
+    f: { d: vSegment(left, top + t, halfHeight), name: 'f' },
+    g1: { d: hHalfSegment(left + t, mid, halfWidth - t, true), name: 'g1' },
+    g2: { d: hHalfSegment(centerX + ht, mid, halfWidth - t, false), name: 'g2' },
+    h: { d: diagonalSegment(innerLeft, innerTop, centerX - ht, innerMidTop), name: 'h' },
+    j: { d: vSegment(centerX - ht, top + t, halfHeight - t), name: 'j' },
+    k: { d: diagonalSegment(innerRight, innerTop, centerX + ht, innerMidTop), name: 'k' },
+    l: { d: diagonalSegment(centerX + ht, innerMidBottom, innerRight, innerBottom), name: 'l' },
+    m: { d: vSegment(centerX - ht, centerY + ht, halfHeight - t), name: 'm' },
+    n: { d: diagonalSegment(innerLeft, innerBottom, centerX - ht, innerMidBottom), name: 'n' },
+  };
+
+  // Decimal point
+  const dpX = width - padding + dpSize * 0.5;
+  const dpY = height - padding - dpSize / 2;
+
+  return {
+    width,
+    height,
+    dpSize,
+    segments,
+    dp: { cx: dpX, cy: dpY, r: dpSize / 2 },
+  };
+}
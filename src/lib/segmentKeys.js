@@ -0,0 +1,153 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { SEGMENT_NAMES } from './segments';
+
+// Keyboard layouts for segment editing, kept in localStorage as
+// { layout, custom }. A layout maps each segment to a KeyboardEvent.code, so
+// keys stay in the same place whatever the keyboard's language
+const KEYS_KEY = 'microbeast-font-editor:segment-keys';
+
+export const KEY_LAYOUTS = [
+  {
+    id: 'qwerty',
+    name: 'QWERTY block',
+    // Q-T, S/F and Z-B are the upper, middle and lower rows of the digit
+    keys: {
+      a: 'Digit3',
+      f: 'KeyQ', h: 'KeyW', j: 'KeyE', k: 'KeyR', b: 'KeyT',
+      g1: 'KeyS', g2: 'KeyF',
+      e: 'KeyZ', n: 'KeyX', m: 'KeyC', l: 'KeyV', c: 'KeyB',
+      d: 'Space', dp: 'KeyN',
+    },
+  },
+  {
+    id: 'numpad',
+    name: 'Numpad',
+    // 1-9 are the inner segments; the keys around them are the outline
+    keys: {
+      h: 'Numpad7', j: 'Numpad8', k: 'Numpad9',
+      g1: 'Numpad4', g2: 'Numpad6',
+      n: 'Numpad1', m: 'Numpad2', l: 'Numpad3',
+      f: 'NumpadDivide', a: 'NumpadMultiply', b: 'NumpadSubtract', c: 'NumpadAdd',
+      d: 'NumpadEnter', e: 'Numpad0', dp: 'NumpadDecimal',
+    },
+  },
+];
+
+export const DEFAULT_KEY_SETTINGS = { layout: 'qwerty', custom: KEY_LAYOUTS[0].keys };
+
+// Keys the editor uses for moving around, which cannot toggle a segment
+const RESERVED_CODES = ['Tab', 'Enter', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown'];
+
+// Where each segment sits in the digit, for arrow key movement and tab order
+const POSITIONS = {
+  a: [2, 0],
+  f: [0, 1], h: [1, 1], j: [2, 1], k: [3, 1], b: [4, 1],
+  g1: [1, 2], g2: [3, 2],
+  e: [0, 3], n: [1, 3], m: [2, 3], l: [3, 3], c: [4, 3],
+  d: [2, 4], dp: [5, 4],
+};
+
+// Segments in reading order, top row first
+export const SEGMENT_ORDER = [...SEGMENT_NAMES].sort((s, t) =>
+  POSITIONS[s][1] - POSITIONS[t][1] || POSITIONS[s][0] - POSITIONS[t][0]);
+
+export const canBindKey = (code) => Boolean(code) && !RESERVED_CODES.includes(code) &&
+  !/^(Shift|Control|Alt|Meta|OS)/.test(code);
+
+function normalizeKeys(data) {
+  if (!data || typeof data !== 'object') return DEFAULT_KEY_SETTINGS.custom;
+  const keys = {};
+  for (const segment of SEGMENT_NAMES) {
+    if (typeof data[segment] === 'string' && canBindKey(data[segment])) keys[segment] = data[segment];
+  }
+  return keys;
+}
+
+export function normalizeKeySettings(data) {
+  if (!data || typeof data !== 'object') return DEFAULT_KEY_SETTINGS;
+  return {
+    layout: data.layout === 'custom' || KEY_LAYOUTS.some((l) => l.id === data.layout) ? data.layout : 'qwerty',
+    custom: normalizeKeys(data.custom),
+  };
+}
+
+export function loadKeySettings() {
+  try {
+    return normalizeKeySettings(JSON.parse(localStorage.getItem(KEYS_KEY)));
+  } catch (err) {
+    console.warn('Could not read keyboard settings:', err);
+    return DEFAULT_KEY_SETTINGS;
+  }
+}
+
+// Returns false if storage is unavailable or full
+export function storeKeySettings(settings) {
+  try {
+    localStorage.setItem(KEYS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (err) {
+    console.warn('Could not save keyboard settings:', err);
+    return false;
+  }
+}
+
+// The segment -> code map in use
+export function layoutKeys(settings) {
+  if (settings.layout === 'custom') return settings.custom;
+  return KEY_LAYOUTS.find((l) => l.id === settings.layout).keys;
+}
+
+// Segment toggled by a key, or null
+export function segmentForKey(keys, code) {
+  return SEGMENT_NAMES.find((segment) => keys[segment] === code) ?? null;
+}
+
+// Bind a key to a segment, taking it away from any other segment
+export function bindKey(keys, segment, code) {
+  const next = {};
+  for (const [name, bound] of Object.entries(keys)) {
+    if (bound !== code) next[name] = bound;
+  }
+  next[segment] = code;
+  return next;
+}
+
+// Short label for a KeyboardEvent.code: KeyQ -> Q, Numpad7 -> Num 7
+const NUMPAD_LABELS = { Divide: '/', Multiply: '*', Subtract: '-', Add: '+', Decimal: '.', Enter: 'Enter' };
+const PUNCTUATION_LABELS = {
+  Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\', Semicolon: ';',
+  Quote: "'", Backquote: '`', Comma: ',', Period: '.', Slash: '/',
+};
+
+export function keyLabel(code) {
+  if (!code) return '';
+  let match;
+  if ((match = code.match(/^(?:Key|Digit)(.)$/))) return match[1];
+  if ((match = code.match(/^Numpad(.+)$/))) return `Num ${NUMPAD_LABELS[match[1]] ?? match[1]}`;
+  return PUNCTUATION_LABELS[code] ?? code;
+}
+
+// Nearest segment in an arrow key's direction, or the segment itself at the edge.
+// Distance along the arrow counts half as much as distance across it
+const DIRECTIONS = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+
+export function neighbourSegment(segment, key) {
+  const [dx, dy] = DIRECTIONS[key];
+  const [x, y] = POSITIONS[segment];
+  let best = segment;
+  let bestScore = Infinity;
+  for (const [name, [px, py]] of Object.entries(POSITIONS)) {
+    const along = (px - x) * dx + (py - y) * dy;
+    if (along <= 0) continue;
+    const score = along + 2 * Math.abs(dx ? py - y : px - x);
+    if (score < bestScore) {
+      best = name;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
@@ -0,0 +1,27 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Segment bit values
+// These are the editor's logical segments. Fonts store glyphs in this layout;
+// wiring profiles translate them to hardware bits on export
+export const SEGMENTS = {
+  a: 1,
+  b: 2,
+  c: 4,
+  d: 8,
+  e: 16,
+  f: 32,
+  g1: 64,
+  g2: 128,
+  h: 256,
+  j: 512,
+  k: 1024,
+  l: 2048,
+  m: 4096,
+  n: 8192,
+  dp: 16384,
+};
+
+export const SEGMENT_NAMES = Object.keys(SEGMENTS);
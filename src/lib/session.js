@@ -0,0 +1,84 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { normalizeFont } from './font';
+import { normalizeExportSettings } from './exportSettings';
+
+// Autosaved session in localStorage, restored after a reload or crash
+const SESSION_KEY = 'microbeast-font-editor:session';
+
+// Delay between the last change and the autosave write
+export const AUTOSAVE_DELAY_MS = 1000;
+
+function serializeSelection(selection) {
+  return {
+    anchor: selection.anchor,
+    focus: selection.focus,
+    selected: Array.from(selection.selected),
+  };
+}
+
+function parseSelection(data) {
+  const valid = (i) => Number.isInteger(i) && i >= 0 && i < 256;
+  const selected = (data?.selected || []).filter(valid);
+  const anchor = valid(data?.anchor) ? data.anchor : 0;
+  return {
+    anchor,
+    focus: valid(data?.focus) ? data.focus : anchor,
+    selected: new Set(selected.length > 0 ? selected : [anchor]),
+  };
+}
+
+// Write the session: every open document plus the export settings.
+// documents: [{ font, selection, dirty, libraryId }].
+// Returns the save time, or null if storage is unavailable
+export function saveSession({ documents, activeIndex, exportSettings }) {
+  const savedAt = Date.now();
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({
+      documents: documents.map((doc) => ({
+        font: doc.font,
+        selection: serializeSelection(doc.selection),
+        dirty: doc.dirty,
+        libraryId: doc.libraryId,
+      })),
+      activeIndex,
+      exportSettings,
+      savedAt,
+    }));
+    return savedAt;
+  } catch (err) {
+    console.warn('Autosave failed:', err);
+    return null;
+  }
+}
+
+// Read the last session, or null if there is none or it cannot be parsed
+export function loadSession() {
+  try {
+    const data = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (!data) return null;
+    // Sessions from before the multi-font workspace held a single font
+    const stored = data.documents || (data.font ? [data] : []);
+    if (stored.length === 0) return null;
+    const documents = stored.map((doc) => ({
+      font: normalizeFont(doc.font),
+      selection: parseSelection(doc.selection),
+      dirty: !!doc.dirty,
+      libraryId: doc.libraryId || null,
+    }));
+    const activeIndex = Number.isInteger(data.activeIndex) && data.activeIndex < documents.length
+      ? data.activeIndex
+      : 0;
+    return {
+      documents,
+      activeIndex,
+      exportSettings: normalizeExportSettings(data.exportSettings),
+      savedAt: data.savedAt || null,
+    };
+  } catch (err) {
+    console.warn('Could not read autosaved session:', err);
+    return null;
+  }
+}
@@ -0,0 +1,84 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { normalizeFont } from './font';
+import { findWiringProfile, wiringForFont } from './wiring';
+import { findCodePage, codePageForFont } from './codePages';
+
+// Share links carry a whole font in the URL fragment, which browsers never send
+// to the server. The font is packed as compact JSON, deflated with the browser's
+// CompressionStream and base64url encoded:
+//   { v: 1, n: name, s: [segments, or -1 for an empty slot], c: { index: name },
+//     w: wiring profile id or wiring, p: code page id or code page, a: animations }
+const SHARE_PARAM = 'font';
+const SHARE_VERSION = 1;
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Built-in wiring and code pages travel as their id; edited ones in full
+function packWiring(wiring) {
+  const profile = findWiringProfile(wiring.id);
+  return profile && same(wiringForFont(profile), wiring) ? wiring.id : wiring;
+}
+
+function packCodePage(codePage) {
+  const page = findCodePage(codePage.id);
+  return page && same(codePageForFont(page), codePage) ? codePage.id : codePage;
+}
+
+async function pipe(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+// Link to this page that opens the font
+export async function createShareLink(font, location = window.location) {
+  const names = {};
+  font.characters.forEach((char, index) => {
+    if (char?.name) names[index] = char.name;
+  });
+  const packed = {
+    v: SHARE_VERSION,
+    n: font.name,
+    s: font.characters.map((char) => (char ? char.segments : -1)),
+    c: names,
+    w: packWiring(font.wiring),
+    p: packCodePage(font.codePage),
+    ...(font.animations.length > 0 && { a: font.animations }),
+  };
+  const bytes = await pipe(new TextEncoder().encode(JSON.stringify(packed)), new CompressionStream('deflate-raw'));
+  return `${location.origin}${location.pathname}${location.search}#${SHARE_PARAM}=${toBase64Url(bytes)}`;
+}
+
+export const isShareFragment = (hash) => hash.startsWith(`#${SHARE_PARAM}=`);
+
+// Read the font from a share link fragment. Throws if the link is damaged
+export async function readShareFragment(hash) {
+  const bytes = await pipe(fromBase64Url(hash.slice(SHARE_PARAM.length + 2)), new DecompressionStream('deflate-raw'));
+  const packed = JSON.parse(new TextDecoder().decode(bytes));
+  if (packed?.v !== SHARE_VERSION || !Array.isArray(packed.s)) {
+    throw new Error('Unsupported share link');
+  }
+  const wiring = typeof packed.w === 'string' ? findWiringProfile(packed.w) : packed.w;
+  const codePage = typeof packed.p === 'string' ? findCodePage(packed.p) : packed.p;
+  return normalizeFont({
+    name: packed.n,
+    characters: packed.s.map((segments, index) =>
+      (Number.isInteger(segments) && segments >= 0 ? { segments, name: packed.c?.[index] ?? null } : null)),
+    wiring: wiring && wiringForFont(wiring),
+    codePage: codePage && codePageForFont(codePage),
+    animations: packed.a,
+  }, 'Shared Font');
+}
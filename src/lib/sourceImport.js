@@ -0,0 +1,168 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Parse font tables from assembly (.asm) and C (.h) source files.
+// Recognises the same shapes the export presets produce:
+//   LABEL   EQU  %000000001111111   ; #007F
+//           DEFW #007F              ; 65 (A)
+//   static const uint16_t font[] = { 0x007F,  // 65: A
+//   0x007F, 0x0040, 0x0000    (a bare list, as in a pasted table body)
+// Values are placed in order, one slot each, starting from a chosen slot. If the
+// first value's comment starts with an index ("; 32 (SPACE)") that is suggested
+// as the starting slot.
+
+// Names generated by the exporter for unnamed slots; these import as unnamed
+const AUTO_NAME = /^CHAR_[0-9A-F]{2}$/i;
+
+// Parse a single numeric literal: hex (#, 0x, $), binary (%, 0b) or decimal.
+// Returns NaN for anything else
+export function parseLiteral(text) {
+  const s = text.trim();
+  let match;
+  if ((match = s.match(/^(?:#|\$|0x)([0-9a-f]+)$/i))) return parseInt(match[1], 16);
+  if ((match = s.match(/^(?:%|0b)([01]+)$/i))) return parseInt(match[1], 2);
+  if (/^\d+$/.test(s)) return parseInt(s, 10);
+  return NaN;
+}
+
+// Split a line into code and trailing comment (;, // or /* */)
+function splitComment(line) {
+  const block = line.match(/^(.*?)\/\*(.*?)\*\/(.*)$/);
+  if (block) return { code: block[1] + block[3], comment: block[2].trim() };
+  const match = line.match(/^(.*?)(?:;|\/\/)(.*)$/);
+  return match ? { code: match[1], comment: match[2].trim() } : { code: line, comment: '' };
+}
+
+// Extract a character name from a trailing comment such as "65 (A)", "65: A" or "A"
+function nameFromComment(comment) {
+  let text = comment;
+  // Drop a leading index and separator
+  text = text.replace(/^\d+\s*:?\s*/, '');
+  // Drop a hex value comment such as "#007F"
+  text = text.replace(/^(?:#|\$|0x)[0-9a-f]+\b\s*/i, '');
+  if (text === '(empty)') return null;
+  const paren = text.match(/^\((.*)\)$/);
+  if (paren) text = paren[1].trim();
+  if (!text || /\s/.test(text) || AUTO_NAME.test(text)) return null;
+  return text;
+}
+
+// Extract a leading slot index from a comment such as "65 (A)" or "65: A"
+function indexFromComment(comment) {
+  const match = comment.match(/^(\d+)(?:\s|:|$)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Parse a comma-separated list of literals. Returns null if any item is not a literal
+function parseList(text) {
+  const items = text.split(',').map((item) => item.trim()).filter((item) => item !== '');
+  if (items.length === 0) return null;
+  const values = items.map(parseLiteral);
+  return values.some((v) => isNaN(v)) ? null : values;
+}
+
+// Parse source text into a list of glyphs plus the lines that were not recognised.
+// bits is the widest word accepted; tables in bit orders longer than 16 bits need more.
+// Returns { glyphs: [{ segments, name, line }], skipped: [{ line, text, reason }], startSlot }
+export function parseFontSource(text, { bits = 16 } = {}) {
+  const maxValue = 2 ** bits - 1;
+  const rangeError = `Value out of ${bits}-bit range`;
+  const glyphs = [];
+  const skipped = [];
+  let inArray = false;
+  let startSlot = null;
+
+  const addValues = (values, comment, lineNo, lineText) => {
+    if (values.some((v) => v < 0 || v > maxValue)) {
+      skipped.push({ line: lineNo, text: lineText, reason: rangeError });
+      return;
+    }
+    if (glyphs.length === 0) {
+      const index = indexFromComment(comment);
+      if (index !== null && index < 256) startSlot = index;
+    }
+    const name = nameFromComment(comment);
+    values.forEach((segments) => {
+      // A comment can only name the glyph when the line holds a single value
+      glyphs.push({ segments, name: values.length === 1 ? name : null, line: lineNo });
+    });
+  };
+
+  text.split(/\r?\n/).forEach((lineText, i) => {
+    const lineNo = i + 1;
+    if (lineText.trim() === '') return;
+    const { code, comment } = splitComment(lineText);
+    let match;
+
+    // C array initialiser: uint16_t name[...] = {  (uint32_t for wider words;
+    // attributes such as PROGMEM allowed)
+    if (!inArray && /uint(?:16|32)_t\s+\w+\s*\[[^\]]*\][^=]*=\s*\{/.test(code)) {
+      inArray = true;
+      const rest = code.slice(code.indexOf('{') + 1);
+      const body = rest.replace(/\}.*$/, '');
+      if (rest.includes('}')) inArray = false;
+      const values = parseList(body);
+      if (values) addValues(values, comment, lineNo, lineText);
+      return;
+    }
+
+    if (inArray) {
+      const closed = code.includes('}');
+      const body = code.replace(/\}.*$/, '');
+      if (closed) inArray = false;
+      if (body.trim() === '') {
+        if (!closed) skipped.push({ line: lineNo, text: lineText, reason: 'No values' });
+        return;
+      }
+      const values = parseList(body);
+      if (values) {
+        addValues(values, comment, lineNo, lineText);
+      } else {
+        skipped.push({ line: lineNo, text: lineText, reason: 'Unrecognised value' });
+      }
+      return;
+    }
+
+    // Assembly symbol: LABEL EQU value
+    if ((match = code.match(/^\s*([A-Za-z_.][\w.]*):?\s+EQU\s+(\S+)\s*$/i))) {
+      const value = parseLiteral(match[2]);
+      if (isNaN(value)) {
+        skipped.push({ line: lineNo, text: lineText, reason: 'Unrecognised value' });
+      } else if (value > maxValue) {
+        skipped.push({ line: lineNo, text: lineText, reason: rangeError });
+      } else {
+        // The label names the glyph, not the comment
+        const name = AUTO_NAME.test(match[1]) ? null : match[1];
+        glyphs.push({ segments: value, name, line: lineNo });
+      }
+      return;
+    }
+
+    // Assembly data: [label:] DEFW/DW/.word value[, value...]
+    if ((match = code.match(/^\s*(?:[A-Za-z_.][\w.]*:\s*)?(?:DEFW|DW|\.DW|\.WORD)\s+(.+)$/i))) {
+      const values = parseList(match[1]);
+      if (values) {
+        addValues(values, comment, lineNo, lineText);
+      } else {
+        skipped.push({ line: lineNo, text: lineText, reason: 'Unrecognised value' });
+      }
+      return;
+    }
+
+    // Bare list of values, as in a pasted table body
+    if ((match = code.match(/^\s*([^,\s][^;]*?),?\s*$/)) && parseList(match[1])) {
+      addValues(parseList(match[1]), comment, lineNo, lineText);
+      return;
+    }
+
+    if (code.trim() === '') {
+      skipped.push({ line: lineNo, text: lineText, reason: 'Comment' });
+    } else {
+      skipped.push({ line: lineNo, text: lineText, reason: 'Not a font definition' });
+    }
+  });
+
+  return { glyphs, skipped, startSlot: startSlot ?? 0 };
+}
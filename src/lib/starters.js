@@ -0,0 +1,56 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import starters from '../starters.json';
+import { SEGMENTS } from './segments';
+import { createEmptyFont } from './font';
+
+// Bundled starter fonts for New Font and for filling slots of an existing font.
+// starters.json lists each glyph as { index, name, segments: "a b c ..." } so the
+// shapes can be read and edited by hand
+
+const toSegments = (names) =>
+  names.split(/\s+/).filter(Boolean).reduce((bits, name) => bits | SEGMENTS[name], 0);
+
+export const STARTER_FONTS = starters.starters.map((starter) => ({
+  ...starter,
+  characters: starter.characters.map(({ index, name, segments }) => ({
+    index,
+    char: { segments: toSegments(segments), name },
+  })),
+}));
+
+export function findStarter(id) {
+  return STARTER_FONTS.find((s) => s.id === id) || null;
+}
+
+// A new font holding a starter's glyphs
+export function createStarterFont(starter) {
+  const font = createEmptyFont(starter.name);
+  const characters = [...font.characters];
+  for (const { index, char } of starter.characters) {
+    characters[index] = char;
+  }
+  return { ...font, characters };
+}
+
+// How Insert into selection places a starter's glyphs
+export const PLACEMENT_MODES = [
+  { id: 'order', name: 'In order from the selection' },
+  { id: 'codes', name: 'At their own codes' },
+];
+
+// The starter's glyphs placed into the selection, as [{ index, char }].
+// 'order' fills the selected slots in ascending order, or the slots from the
+// anchor onwards when only one is selected. 'codes' keeps each glyph at its own
+// slot and leaves out those outside the selection
+export function starterPlacements(starter, selection, mode = 'order') {
+  if (mode === 'codes') {
+    return starter.characters.filter(({ index }) => selection.selected.has(index));
+  }
+  const slots = selection.selected.size > 1
+    ? [...selection.selected].sort((a, b) => a - b)
+    : Array.from({ length: 256 - selection.anchor }, (_, i) => selection.anchor + i);
+  return starter.characters.slice(0, slots.length).map(({ char }, i) => ({ index: slots[i], char }));
+}
@@ -0,0 +1,28 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// JSON values kept in localStorage. what names the value in console warnings
+
+// Read the value under key and pass it to parse. Returns fallback if it is
+// missing or unreadable, or parse throws
+export function loadStored(key, parse, fallback, what) {
+  try {
+    return parse(JSON.parse(localStorage.getItem(key)));
+  } catch (err) {
+    console.warn(`Could not read ${what}:`, err);
+    return fallback;
+  }
+}
+
+// Returns false if storage is unavailable or full
+export function storeStored(key, value, what) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.warn(`Could not save ${what}:`, err);
+    return false;
+  }
+}
@@ -0,0 +1,167 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Check character names before they are exported as assembler labels or C
+// identifiers, and fix them up. Unnamed slots export as CHAR_XX, so those
+// generated names take part in the duplicate check too
+
+const Z80_RESERVED = [
+  // Registers and conditions
+  'A', 'B', 'C', 'D', 'E', 'H', 'L', 'I', 'R', 'F', 'AF', 'BC', 'DE', 'HL', 'IX', 'IY', 'SP', 'PC',
+  'IXH', 'IXL', 'IYH', 'IYL', 'NZ', 'Z', 'NC', 'PO', 'PE', 'P', 'M',
+  // Instructions
+  'ADC', 'ADD', 'AND', 'BIT', 'CALL', 'CCF', 'CP', 'CPD', 'CPDR', 'CPI', 'CPIR', 'CPL', 'DAA',
+  'DEC', 'DI', 'DJNZ', 'EI', 'EX', 'EXX', 'HALT', 'IM', 'IN', 'INC', 'IND', 'INDR', 'INI', 'INIR',
+  'JP', 'JR', 'LD', 'LDD', 'LDDR', 'LDI', 'LDIR', 'NEG', 'NOP', 'OR', 'OTDR', 'OTIR', 'OUT',
+  'OUTD', 'OUTI', 'POP', 'PUSH', 'RES', 'RET', 'RETI', 'RETN', 'RL', 'RLA', 'RLC', 'RLCA', 'RLD',
+  'RR', 'RRA', 'RRC', 'RRCA', 'RRD', 'RST', 'SBC', 'SCF', 'SET', 'SLA', 'SLL', 'SRA', 'SRL', 'SUB', 'XOR',
+  // Directives
+  'ALIGN', 'BLOCK', 'DB', 'DD', 'DEFB', 'DEFL', 'DEFM', 'DEFS', 'DEFW', 'DS', 'DW', 'ELSE', 'END',
+  'ENDIF', 'ENDM', 'EQU', 'IF', 'IFDEF', 'IFNDEF', 'INCBIN', 'INCLUDE', 'MACRO', 'ORG',
+];
+
+const C_RESERVED = [
+  'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum',
+  'extern', 'float', 'for', 'goto', 'if', 'inline', 'int', 'long', 'register', 'restrict', 'return',
+  'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'typedef', 'union', 'unsigned', 'void',
+  'volatile', 'while', '_Alignas', '_Alignof', '_Atomic', '_Bool', '_Complex', '_Generic',
+  '_Imaginary', '_Noreturn', '_Static_assert', '_Thread_local', 'bool', 'true', 'false', 'NULL',
+];
+
+// Identifier rules per export target. Z80 assemblers compare labels without case
+export const SYMBOL_TARGETS = {
+  z80: {
+    id: 'z80',
+    name: 'Z80 assembler',
+    maxLength: 31,
+    caseSensitive: false,
+    reserved: new Set(Z80_RESERVED),
+  },
+  c: {
+    id: 'c',
+    name: 'C',
+    maxLength: 31,
+    caseSensitive: true,
+    reserved: new Set(C_RESERVED),
+  },
+};
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export const generatedName = (index) => `CHAR_${index.toString(16).toUpperCase().padStart(2, '0')}`;
+
+// The name a slot exports with
+const exportName = (char, index) => char.name || generatedName(index);
+
+const isReserved = (name, target) =>
+  target.reserved.has(target.caseSensitive ? name : name.toUpperCase());
+
+const compareKey = (name, target) => (target.caseSensitive ? name : name.toUpperCase());
+
+// Problems with the names of defined characters for a target.
+// Returns [{ index, name, kind, message }] ordered by slot
+export function lintNames(font, targetId) {
+  const target = SYMBOL_TARGETS[targetId];
+  if (!target) return [];
+
+  const problems = [];
+  const byKey = new Map();
+
+  font.characters.forEach((char, index) => {
+    if (char === null) return;
+    const name = exportName(char, index);
+    const key = compareKey(name, target);
+    byKey.set(key, [...(byKey.get(key) || []), index]);
+
+    if (!IDENTIFIER.test(name)) {
+      problems.push({ index, name, kind: 'invalid', message: 'Not a valid identifier' });
+    } else if (isReserved(name, target)) {
+      problems.push({ index, name, kind: 'reserved', message: `Reserved word in ${target.name}` });
+    } else if (target.id === 'c' && /^(__|_[A-Z])/.test(name)) {
+      problems.push({ index, name, kind: 'reserved', message: 'Names starting with __ or _ and a capital are reserved in C' });
+    }
+    if (name.length > target.maxLength) {
+      problems.push({ index, name, kind: 'length', message: `Longer than ${target.maxLength} characters` });
+    }
+  });
+
+  for (const indices of byKey.values()) {
+    if (indices.length < 2) continue;
+    for (const index of indices) {
+      const others = indices.filter((i) => i !== index).map((i) => `0x${i.toString(16).toUpperCase().padStart(2, '0')}`);
+      problems.push({
+        index,
+        name: exportName(font.characters[index], index),
+        kind: 'duplicate',
+        message: `Same name as ${others.join(', ')}`,
+      });
+    }
+  }
+
+  return problems.sort((a, b) => a.index - b.index);
+}
+
+// Turn any name into a valid, unreserved identifier that fits the target.
+// Names made only of symbols fall back to the slot's generated name
+function sanitise(name, index, target) {
+  let result = name.trim().replace(/[^A-Za-z0-9_]+/g, '_');
+  if (!/[A-Za-z0-9]/.test(result)) return generatedName(index);
+  if (/^[0-9]/.test(result)) result = `_${result}`;
+  if (isReserved(result, target) || (target.id === 'c' && /^(__|_[A-Z])/.test(result))) {
+    result = `${result.replace(/^_+/, '')}_`;
+  }
+  return result.slice(0, target.maxLength);
+}
+
+const withSuffix = (name, index, target) => {
+  const suffix = `_${index.toString(16).toUpperCase().padStart(2, '0')}`;
+  return name.slice(0, target.maxLength - suffix.length) + suffix;
+};
+
+// Rename the flagged characters. 'sanitise' repairs each name and only adds the
+// slot index where names would still collide; 'suffix' repairs and adds the slot
+// index to every flagged name. Unnamed slots keep their generated names
+export function fixNames(font, targetId, strategy = 'sanitise') {
+  const target = SYMBOL_TARGETS[targetId];
+  const problems = lintNames(font, targetId);
+  if (!target || problems.length === 0) return font;
+
+  const flagged = new Set(problems.map((p) => p.index));
+  const characters = [...font.characters];
+  for (const index of flagged) {
+    const char = characters[index];
+    if (!char.name) continue;
+    const name = sanitise(char.name, index, target);
+    const suffixed = strategy === 'suffix' && name !== generatedName(index);
+    characters[index] = { ...char, name: suffixed ? withSuffix(name, index, target) : name };
+  }
+
+  // Anything still colliding keeps the first name and suffixes the rest.
+  // Generated names cannot change, so they are claimed first
+  const seen = new Set(characters
+    .map((char, index) => (char && !char.name ? compareKey(generatedName(index), target) : null))
+    .filter(Boolean));
+  characters.forEach((char, index) => {
+    if (!char?.name) return;
+    let name = char.name;
+    if (seen.has(compareKey(name, target))) {
+      name = withSuffix(name, index, target);
+      characters[index] = { ...char, name };
+    }
+    seen.add(compareKey(name, target));
+  });
+
+  return { ...font, characters };
+}
+
+// Name for a copy of a character that does not clash with any name in use
+export function copyName(name, characters) {
+  const taken = new Set(characters.filter(Boolean).map((char) => char.name));
+  let candidate = `${name}_copy`;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${name}_copy${n}`;
+  }
+  return candidate;
+}
@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { SEGMENTS } from './segments';
+
+// Translate 14/16-segment font tables published in other bit conventions.
+// A bit order lists the source segment for each bit, LSB first, using the
+// Adafruit naming: H/J/K are the upper diagonal, vertical and diagonal, L/M/N
+// the lower-left diagonal, lower vertical and lower-right diagonal
+
+export const SOURCE_BIT_ORDERS = [
+  {
+    id: 'adafruit',
+    name: 'Adafruit LED Backpack (alphafonttable)',
+    order: 'A B C D E F G1 G2 H J K L M N DP',
+  },
+  {
+    id: 'split',
+    name: '16-segment style (split A1/A2, D1/D2)',
+    order: 'A1 A2 B C D1 D2 E F G1 G2 H J K L M N DP',
+  },
+  {
+    id: 'editor',
+    name: 'This editor',
+    order: 'A B C D E F G1 G2 H J K N M L DP',
+  },
+];
+
+// Source segment names and the editor segment each lands on.
+// '-' marks an unused bit
+const SOURCE_SEGMENTS = {
+  A: 'a',
+  A1: 'a',
+  A2: 'a',
+  B: 'b',
+  C: 'c',
+  D: 'd',
+  D1: 'd',
+  D2: 'd',
+  E: 'e',
+  F: 'f',
+  G1: 'g1',
+  G2: 'g2',
+  H: 'h',
+  J: 'j',
+  K: 'k',
+  L: 'n',
+  M: 'm',
+  N: 'l',
+  DP: 'dp',
+  '-': null,
+};
+
+// Parse a bit order such as "A B C D ..." into a list of source names, LSB first.
+// Returns { bits, unknown } where unknown lists names that are not recognised
+export function parseBitOrder(text) {
+  const bits = text.trim().toUpperCase().split(/[\s,]+/).filter((name) => name !== '');
+  const unknown = bits.filter((name) => !(name in SOURCE_SEGMENTS));
+  return { bits, unknown };
+}
+
+// Translate one source word to editor segments.
+// fold decides how split segments (A1/A2, D1/D2) combine onto a single editor segment:
+// 'any' lights it if either half is lit, 'both' only if every half is lit
+export function translateWord(word, bits, fold = 'any') {
+  const sources = {}; // editor segment -> [lit, lit, ...] for each source bit
+  bits.forEach((name, bit) => {
+    const target = SOURCE_SEGMENTS[name];
+    if (!target) return;
+    sources[target] = [...(sources[target] || []), (word & (1 << bit)) !== 0];
+  });
+
+  let segments = 0;
+  for (const [target, lit] of Object.entries(sources)) {
+    const on = fold === 'both' ? lit.every(Boolean) : lit.some(Boolean);
+    if (on) segments |= SEGMENTS[target];
+  }
+  return segments;
+}
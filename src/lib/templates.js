@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { loadStored, storeStored } from './storage';
+
+// User export templates kept in localStorage alongside the built-in presets:
+// [{ id, name, description, extension, template, modifiedAt }].
+// Template files use the same { "presets": [...] } layout as presets.json
+const TEMPLATES_KEY = 'microbeast-font-editor:templates';
+
+// Validate one template from storage or a file; returns null if unusable
+export function normalizeTemplate(data) {
+  if (!data || typeof data !== 'object' || typeof data.template !== 'string') return null;
+  return {
+    id: typeof data.id === 'string' ? data.id : null,
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Untitled template',
+    description: typeof data.description === 'string' ? data.description : '',
+    extension: typeof data.extension === 'string' && data.extension ? data.extension.replace(/^\./, '') : 'txt',
+    template: data.template,
+    modifiedAt: data.modifiedAt || 0,
+  };
+}
+
+export function loadTemplates() {
+  return loadStored(TEMPLATES_KEY, (data) => {
+    if (!Array.isArray(data)) return [];
+    return data.map(normalizeTemplate).filter((t) => t && t.id);
+  }, [], 'export templates');
+}
+
+// Returns false if storage is unavailable or full
+export function storeTemplates(templates) {
+  return storeStored(TEMPLATES_KEY, templates, 'export templates');
+}
+
+// Read templates from a shared file. Accepts { presets: [...] }, a bare array or
+// a single template; throws if nothing usable is found
+export function parseTemplateFile(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data];
+  const templates = list.map(normalizeTemplate).filter(Boolean);
+  if (templates.length === 0) {
+    throw new Error('No templates found');
+  }
+  return templates;
+}
+
+// File contents for sharing templates, without the local ids and timestamps
+export function templatesToFile(templates) {
+  return JSON.stringify({
+    presets: templates.map(({ name, description, extension, template }) => ({
+      name,
+      description,
+      extension,
+      template,
+    })),
+  }, null, 2) + '\n';
+}
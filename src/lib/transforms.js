@@ -0,0 +1,103 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { SEGMENTS, SEGMENT_NAMES } from './segments';
+
+// Geometric transforms of a glyph as rearrangements of its segments.
+//
+//    --a--        h, k: upper diagonals     j: upper centre bar
+//   |\ | /|       n, l: lower diagonals     m: lower centre bar
+//   f h j k b     g1, g2: left and right halves of the middle bar
+//   |  \|/  |
+//    -g1 g2-
+//   |  /|\  |
+//   e n m l c
+//   |/  |  \|
+//    --d--  .dp
+//
+// Mirrors and the rotation are permutations. Shifts move a half-height row of
+// segments up or down: the middle bar (both halves together) becomes a or d and
+// d or a becomes the middle bar. The diagonals have no counterpart in the other
+// half, so a glyph using them cannot be shifted. The decimal point never moves
+
+// Segment each segment moves to
+const MIRROR_H = { a: 'a', b: 'f', c: 'e', d: 'd', e: 'c', f: 'b', g1: 'g2', g2: 'g1', h: 'k', j: 'j', k: 'h', l: 'n', m: 'm', n: 'l', dp: 'dp' };
+const MIRROR_V = { a: 'd', b: 'c', c: 'b', d: 'a', e: 'f', f: 'e', g1: 'g1', g2: 'g2', h: 'n', j: 'm', k: 'l', l: 'k', m: 'j', n: 'h', dp: 'dp' };
+const ROTATE_180 = Object.fromEntries(SEGMENT_NAMES.map((name) => [name, MIRROR_V[MIRROR_H[name]]]));
+
+// Shift rules: [from, to] groups, where every segment of a group must be lit or
+// unlit together. Segments outside every from group must be unlit
+const SHIFT_UP = [
+  [['e'], ['f']],
+  [['c'], ['b']],
+  [['m'], ['j']],
+  [['g1', 'g2'], ['a']],
+  [['d'], ['g1', 'g2']],
+  [['dp'], ['dp']],
+];
+const SHIFT_DOWN = [
+  [['f'], ['e']],
+  [['b'], ['c']],
+  [['j'], ['m']],
+  [['a'], ['g1', 'g2']],
+  [['g1', 'g2'], ['d']],
+  [['dp'], ['dp']],
+];
+
+const permutation = (map) => Object.entries(map).map(([from, to]) => [[from], [to]]);
+
+export const TRANSFORMS = [
+  { id: 'mirror-h', name: 'Mirror horizontally', label: 'Mirror ↔', rules: permutation(MIRROR_H) },
+  { id: 'mirror-v', name: 'Mirror vertically', label: 'Mirror ↕', rules: permutation(MIRROR_V) },
+  { id: 'rotate-180', name: 'Rotate 180°', label: 'Rotate 180°', rules: permutation(ROTATE_180) },
+  { id: 'shift-up', name: 'Shift up', label: 'Shift up', rules: SHIFT_UP },
+  { id: 'shift-down', name: 'Shift down', label: 'Shift down', rules: SHIFT_DOWN },
+];
+
+export function findTransform(id) {
+  return TRANSFORMS.find((t) => t.id === id) || null;
+}
+
+const mask = (names) => names.reduce((bits, name) => bits | SEGMENTS[name], 0);
+
+// Apply a transform to a segment word; null if the glyph cannot be transformed
+export function transformSegments(segments, transform) {
+  let result = 0;
+  let covered = 0;
+  for (const [from, to] of transform.rules) {
+    const bits = mask(from);
+    covered |= bits;
+    const lit = segments & bits;
+    if (lit === 0) continue;
+    if (lit !== bits) return null;
+    result |= mask(to);
+  }
+  return segments & ~covered ? null : result;
+}
+
+// Transform the defined characters among indices. With a target slot the results
+// are written as copies, keeping their relative positions with the first index at
+// the target; a copy keeps the name of the slot it lands on.
+// Returns { placements: [{ index, char }], skipped: [index] } where skipped lists
+// glyphs that cannot be transformed or whose copies would fall outside the font
+export function transformCharacters(font, indices, transform, target = null) {
+  const sorted = indices.filter((index) => font.characters[index]).sort((a, b) => a - b);
+  const offset = target === null || sorted.length === 0 ? 0 : target - sorted[0];
+  const placements = [];
+  const skipped = [];
+  for (const index of sorted) {
+    const segments = transformSegments(font.characters[index].segments, transform);
+    const destination = index + offset;
+    if (segments === null || destination > 255) {
+      skipped.push(index);
+      continue;
+    }
+    const existing = font.characters[destination];
+    placements.push({
+      index: destination,
+      char: { ...(existing ?? { name: null }), segments },
+    });
+  }
+  return { placements, skipped };
+}
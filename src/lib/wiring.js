@@ -0,0 +1,87 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+import { SEGMENTS, SEGMENT_NAMES } from './segments';
+import wiring from '../wiring.json';
+
+// Wiring profiles map each logical segment to a hardware bit, with a polarity.
+// A profile is { id, name, bits: { a: 0, ... dp: 14 }, activeLow }.
+// Fonts store the profile they export with in font.wiring
+
+export const WIRING_PROFILES = wiring.profiles;
+
+export const DEFAULT_WIRING = WIRING_PROFILES[0];
+
+export function findWiringProfile(id) {
+  return WIRING_PROFILES.find((p) => p.id === id) || null;
+}
+
+// Copy of a profile suitable for storing in a font
+export function wiringForFont(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    activeLow: !!profile.activeLow,
+    bits: { ...profile.bits },
+  };
+}
+
+// Validate wiring loaded from a font file, falling back to the default profile
+export function normalizeWiring(data) {
+  if (!data || typeof data !== 'object' || !data.bits) {
+    return wiringForFont(DEFAULT_WIRING);
+  }
+  const bits = {};
+  for (const name of SEGMENT_NAMES) {
+    const bit = data.bits[name];
+    bits[name] = Number.isInteger(bit) && bit >= 0 && bit < 16 ? bit : DEFAULT_WIRING.bits[name];
+  }
+  return {
+    id: data.id || 'custom',
+    name: data.name || 'Custom',
+    activeLow: !!data.activeLow,
+    bits,
+  };
+}
+
+// Number of bits in an exported word (15 for the editor order, 16 if bit 15 is used)
+export function wordBits(profile) {
+  return Math.max(15, ...Object.values(profile.bits).map((bit) => bit + 1));
+}
+
+// Segments that share a hardware bit with another segment
+export function wiringConflicts(profile) {
+  const byBit = new Map();
+  for (const name of SEGMENT_NAMES) {
+    const bit = profile.bits[name];
+    byBit.set(bit, [...(byBit.get(bit) || []), name]);
+  }
+  return [...byBit.values()].filter((names) => names.length > 1);
+}
+
+// Translate a logical segment word to the hardware word for a profile
+export function applyWiring(segments, profile) {
+  let word = 0;
+  for (const name of SEGMENT_NAMES) {
+    if (segments & SEGMENTS[name]) {
+      word |= 1 << profile.bits[name];
+    }
+  }
+  if (profile.activeLow) {
+    word = ~word & ((1 << wordBits(profile)) - 1);
+  }
+  return word;
+}
+
+// Translate a hardware word back to logical segments
+export function removeWiring(word, profile) {
+  const value = profile.activeLow ? ~word & ((1 << wordBits(profile)) - 1) : word;
+  let segments = 0;
+  for (const name of SEGMENT_NAMES) {
+    if (value & (1 << profile.bits[name])) {
+      segments |= SEGMENTS[name];
+    }
+  }
+  return segments;
+}
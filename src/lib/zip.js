@@ -0,0 +1,91 @@
+/*
+ * Copyright (c) 2026, Ant Skelton
+ * SPDX-License-Identifier: BSD-3-Clause
+ */
+
+// Minimal zip writer for export bundles. Files are stored without compression,
+// which every unzip tool reads and keeps the writer small; exports are only a
+// few kilobytes each
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const b of bytes) {
+    crc = CRC_TABLE[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields, in local time as zip tools expect
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// Build a zip archive from [{ name, data }], where data is a string (written
+// as UTF-8) or a Uint8Array. Returns the archive as a Uint8Array
+export function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const entries = files.map(({ name, data }) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.bytes.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let pos = 0;
+  const u16 = (value) => { view.setUint16(pos, value, true); pos += 2; };
+  const u32 = (value) => { view.setUint32(pos, value, true); pos += 4; };
+  const bytes = (data) => { out.set(data, pos); pos += data.length; };
+
+  // Fields shared by the local and central headers, from the version needed on.
+  // Flag bit 11 marks the names as UTF-8
+  const common = (e) => {
+    u16(20); u16(0x0800); u16(0); u16(time); u16(day);
+    u32(e.crc); u32(e.bytes.length); u32(e.bytes.length);
+    u16(e.name.length); u16(0);
+  };
+
+  const offsets = entries.map((e) => {
+    const offset = pos;
+    u32(0x04034B50);
+    common(e);
+    bytes(e.name);
+    bytes(e.bytes);
+    return offset;
+  });
+
+  const centralStart = pos;
+  entries.forEach((e, i) => {
+    u32(0x02014B50);
+    u16(20); // version made by
+    common(e);
+    u16(0); u16(0); u16(0); u32(0); // comment, disk, internal and external attributes
+    u32(offsets[i]);
+    bytes(e.name);
+  });
+
+  // End of central directory
+  const centralLength = pos - centralStart;
+  u32(0x06054B50);
+  u16(0); u16(0);
+  u16(entries.length); u16(entries.length);
+  u32(centralLength); u32(centralStart);
+  u16(0);
+  return out;
+}
@@ -1,9 +1,11 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode, isSsrBuild }) => ({
   plugins: [react(), tailwindcss()],
-  base: process.env.BASE_URL || '/',
-})
+  base: loadEnv(mode, '.', 'BASE_URL').BASE_URL || '/',
+  // The command-line export (npm run build:cli) needs none of the public files
+  build: { copyPublicDir: !isSsrBuild },
+}))